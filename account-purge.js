@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// Permanently deletes accounts whose deletion grace period has ended.
+// The server runs this on a timer; it can also be run by hand or from cron:
+//   node account-purge.js
+
+/**
+ * Purges every account that is due, returning how many were removed
+ * Image files are removed before the rows that point at them, so a crash
+ * never leaves files we no longer know about.
+ */
+async function purgeDueAccounts(db, { uploadsDir = path.join(__dirname, 'uploads') } = {}) {
+    const userIds = await db.getUsersDueForDeletion();
+
+    for (const userId of userIds) {
+        const files = await db.getUserUploadedFiles(userId);
+        for (const url of files) {
+            const filePath = path.join(uploadsDir, path.basename(url));
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        }
+
+        // Finished "download my data" archives contain the same data
+        const dataExports = await db.getUserDataExports(userId);
+        for (const dataExport of dataExports) {
+            if (dataExport.filePath && fs.existsSync(dataExport.filePath)) {
+                fs.unlinkSync(dataExport.filePath);
+            }
+        }
+
+        await db.purgeUser(userId);
+        console.log(`Purged account ${userId}`);
+    }
+
+    return userIds.length;
+}
+
+if (require.main === module) {
+    const Database = require('./database');
+    const db = new Database();
+
+    purgeDueAccounts(db)
+        .then(count => console.log(`✓ Purged ${count} account(s)`))
+        .catch(error => {
+            console.error('Account purge error:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => db.db.close());
+}
+
+module.exports = { purgeDueAccounts };
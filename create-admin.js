@@ -0,0 +1,60 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Database = require('./database');
+
+// Bootstrap the first admin account.
+//   node create-admin.js --email admin@example.com                     (promote an existing user)
+//   node create-admin.js --email admin@example.com --username admin --password '...'   (create one)
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const { email, username, password } = parseArgs(process.argv.slice(2));
+    if (!email) {
+        console.log('Usage: node create-admin.js --email <email> [--username <username> --password <password>]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const db = new Database();
+
+    try {
+        let user = await db.getUserByEmail(email);
+
+        if (!user) {
+            if (!username || !password) {
+                throw new Error(`No user with email ${email}. Pass --username and --password to create one.`);
+            }
+            if (await db.getUserByUsername(username)) {
+                throw new Error(`Username ${username} is already taken`);
+            }
+
+            const id = crypto.randomUUID();
+            await db.createUser({ id, email, username, password: await bcrypt.hash(password, 10) });
+            // Whoever runs this has shell access to the server, so the address is trusted
+            await db.markEmailVerified(id, email);
+            user = await db.getUserByEmail(email);
+            console.log(`✓ Created user ${username}`);
+        }
+
+        await db.updateUserRole(user.id, 'admin');
+        await db.revokeUserSessions(user.id);
+        console.log(`✓ ${user.username} is now an admin (existing sessions were signed out)`);
+    } catch (error) {
+        console.error('✗', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.db.close();
+    }
+}
+
+main();
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+
+// Builds the "download my data" ZIP for one user.
+// Everything is read through the regular Database query methods so the archive
+// matches what the API shows; images are copied in from uploads/.
+
+const MESSAGE_PAGE_SIZE = 500;
+
+// getConversationMessages pages backwards from (`before`, `beforeId`); walk it until we have the whole history
+async function getAllConversationMessages(db, conversationId) {
+    const messages = [];
+    let before = null;
+    let beforeId = null;
+
+    while (true) {
+        const page = await db.getConversationMessages(conversationId, { limit: MESSAGE_PAGE_SIZE, before, beforeId });
+        messages.unshift(...page);
+        if (page.length < MESSAGE_PAGE_SIZE) break;
+        before = page[0].createdAt;
+        beforeId = page[0].id;
+    }
+    return messages;
+}
+
+// Follower lists carry everyone's follow graph; the export only needs who the people are
+const summarizeUsers = (users) => users.map(u => ({ id: u.id, username: u.username, name: u.name || '' }));
+
+/**
+ * Writes the archive to outputPath and resolves with its size in bytes
+ */
+async function buildDataExport(db, userId, { uploadsDir, outputPath }) {
+    const profile = await db.getUserById(userId);
+    if (!profile) throw new Error(`User ${userId} not found`);
+
+    const posts = await db.getUserPosts(userId);
+    const drafts = await db.getUserDrafts(userId);
+    const comments = await db.getUserComments(userId);
+    const likes = await db.getUserLikes(userId);
+    const bookmarks = await db.getBookmarkedPosts(userId);
+    const followers = await db.getFollowersWithDetails(userId);
+    const following = await db.getFollowingWithDetails(userId);
+
+    const conversations = await db.getUserConversations(userId);
+    for (const conversation of conversations) {
+        conversation.messages = await getAllConversationMessages(db, conversation.id);
+        delete conversation.lastMessage;
+    }
+
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+        output.on('error', reject);
+    });
+    archive.pipe(output);
+
+    const addJson = (name, data) => archive.append(JSON.stringify(data, null, 2), { name: `data/${name}` });
+    addJson('profile.json', profile);
+    addJson('posts.json', posts);
+    addJson('drafts.json', drafts);
+    addJson('comments.json', comments);
+    addJson('likes.json', likes);
+    addJson('bookmarks.json', bookmarks.map(post => ({ postId: post.id, username: post.username, content: post.content })));
+    addJson('followers.json', summarizeUsers(followers));
+    addJson('following.json', summarizeUsers(following));
+    addJson('conversations.json', conversations);
+
+    // Image paths in posts.json and drafts.json (/uploads/<file>) map to images/<file> in the archive
+    for (const media of [...posts, ...drafts].flatMap(post => post.media)) {
+        const filename = path.basename(media.url);
+        const imagePath = path.join(uploadsDir, filename);
+        if (fs.existsSync(imagePath)) {
+            archive.file(imagePath, { name: `images/${filename}` });
+        }
+    }
+
+    archive.append([
+        `Data export for @${profile.username}`,
+        `Generated ${new Date().toISOString()}`,
+        '',
+        'data/       JSON files with your profile, posts, drafts, comments, likes, bookmarks, follows and messages',
+        'images/     images you attached to posts and drafts (the JSON refers to them as /uploads/<file>)',
+    ].join('\n'), { name: 'README.txt' });
+
+    await archive.finalize();
+    await finished;
+
+    return archive.pointer();
+}
+
+module.exports = { buildDataExport };
@@ -2,11 +2,46 @@ const sqlite3 = require('sqlite3').verbose();
 const { profile } = require('console');
 const path = require('path');
 
+// How many top-level comments post payloads include; the rest come from getPostComments pages
+const COMMENT_PREVIEW_LIMIT = 3;
+
+/**
+ * SQL condition for "the viewer can see post <alias>"; bind the viewer's ID with viewerParams()
+ * Authors see all their own posts, public posts are for everyone and followers-only posts for
+ * followers. Anyone mentioned in a followers-only or mentioned-only post can see it as well.
+ */
+const visibleTo = (alias) => `(
+    ${alias}.user_id = ?
+    OR ${alias}.visibility = 'public'
+    OR (${alias}.visibility = 'followers' AND EXISTS (
+        SELECT 1 FROM follows vf WHERE vf.follower_id = ? AND vf.following_id = ${alias}.user_id
+    ))
+    OR EXISTS (
+        SELECT 1 FROM mentions vm WHERE vm.post_id = ${alias}.id AND vm.comment_id IS NULL AND vm.user_id = ?
+    )
+)`;
+const viewerParams = (viewerId) => [viewerId, viewerId, viewerId];
+
+/**
+ * SQL condition for "comment <alias> shows up in visible listings": live and not hidden, or a
+ * tombstone/hidden placeholder kept because it has replies of its own
+ */
+const visibleComment = (alias) => `(
+    (${alias}.deleted_at IS NULL AND ${alias}.hidden_at IS NULL)
+    OR EXISTS(SELECT 1 FROM comments vr WHERE vr.parent_id = ${alias}.id)
+)`;
+
+// Quotes a value as an SQL string literal, for db.exec scripts (which can't bind parameters)
+const sqlLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
 class Database {
     constructor() {
         // Creates or opens a SQLite database file named 'social_media.db' in the same directory
+        // (DATABASE_PATH points somewhere else, e.g. a throwaway file for tests)
         // If the file doesn't exist, SQLite will create it automatically
-        this.db = new sqlite3.Database(path.join(__dirname, 'social_media.db'));
+        this.db = new sqlite3.Database(process.env.DATABASE_PATH || path.join(__dirname, 'social_media.db'));
+        // SQLite ignores FOREIGN KEY ... ON DELETE CASCADE unless this is switched on per connection
+        this.db.run('PRAGMA foreign_keys = ON');
     }
 
     // ==================== USER METHODS ====================
@@ -125,8 +160,8 @@ class Database {
         return new Promise((resolve, reject) => {
             this.db.get(
                 `SELECT
-                    -- Subquery 1: counts all posts by this user
-                    (SELECT COUNT(*) FROM posts WHERE user_id = ?) as posts,
+                    -- Subquery 1: counts all published posts by this user
+                    (SELECT COUNT(*) FROM posts WHERE user_id = ? AND status = 'published') as posts,
                     -- Subquery 2: counts people following this user
                     (SELECT COUNT(*) FROM follows WHERE following_id = ?) as followers,
                     -- Subquery 3: counts people this user follows
@@ -147,7 +182,7 @@ class Database {
     getUserById(userId) {
         return new Promise((resolve, reject) => {
             this.db.get(
-                'SELECT id, email, username, name, bio, link, created_at FROM users WHERE id = ?',
+                'SELECT id, email, username, name, bio, link, email_verified, deletion_scheduled_for, role, created_at FROM users WHERE id = ?',
                 [userId],
                 (err, row) => {
                     if (err) reject(err);
@@ -157,6 +192,14 @@ class Database {
         });
     }
 
+    /**
+     * Gets the full user row, including the password hash and 2FA secret
+     * Only for credential checks; never send the result to a client
+     */
+    getUserWithCredentials(userId) {
+        return this.get('SELECT * FROM users WHERE id = ?', [userId]);
+    }
+
     /**
      * Updates user profile fields
      * SQL: UPDATE sets new values for specified columns
@@ -178,7 +221,7 @@ class Database {
                     }
                     // After update, fetch and return the updated user data
                     this.db.get(
-                        'SELECT id, email, username, name, bio, link, created_at FROM users WHERE id = ?',
+                        'SELECT id, email, username, name, bio, link, email_verified, deletion_scheduled_for, role, created_at FROM users WHERE id = ?',
                         [userId],
                         (err, row) => {
                             if (err) reject(err);
@@ -190,13 +233,151 @@ class Database {
         });
     }
 
+    /**
+     * Marks a user's email as verified
+     * The email must still match so a stale link can't verify an address the user has since changed
+     */
+    async markEmailVerified(userId, email) {
+        await this.run(
+            'UPDATE users SET email_verified = 1 WHERE id = ? AND email = ?',
+            [userId, email]
+        );
+    }
+
+    /**
+     * Switches a user to a new, already-verified email address
+     */
+    async updateUserEmail(userId, email) {
+        await this.run('UPDATE users SET email = ?, email_verified = 1 WHERE id = ?', [email, userId]);
+    }
+
+    /**
+     * Replaces a user's password hash
+     * The caller is responsible for hashing with bcrypt first
+     */
+    async updateUserPassword(userId, hashedPassword) {
+        await this.run('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+    }
+
+    async updateUserRole(userId, role) {
+        await this.run('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+    }
+
+    // ==================== ACCOUNT DELETION METHODS ====================
+
+    async scheduleUserDeletion(userId, scheduledFor) {
+        await this.run('UPDATE users SET deletion_scheduled_for = ? WHERE id = ?', [scheduledFor, userId]);
+    }
+
+    async cancelUserDeletion(userId) {
+        await this.run('UPDATE users SET deletion_scheduled_for = NULL WHERE id = ?', [userId]);
+    }
+
+    /**
+     * Gets IDs of accounts whose grace period has ended
+     */
+    getUsersDueForDeletion() {
+        return this.all(
+            'SELECT id FROM users WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= ?',
+            [new Date().toISOString()]
+        ).then(rows => rows.map(row => row.id));
+    }
+
+    /**
+     * Gets the /uploads/... paths of every image (and thumbnail) attached to a user's posts
+     */
+    async getUserUploadedFiles(userId) {
+        const media = await this.all(
+            'SELECT pm.* FROM post_media pm JOIN posts p ON pm.post_id = p.id WHERE p.user_id = ?',
+            [userId]
+        );
+        const revisions = await this.all(
+            'SELECT r.media FROM post_revisions r JOIN posts p ON r.post_id = p.id WHERE p.user_id = ?',
+            [userId]
+        );
+        return this.collectMediaUrls([
+            ...media.map(row => this.mapPostMedia(row)),
+            ...revisions.flatMap(row => JSON.parse(row.media || '[]')),
+        ]);
+    }
+
+    /**
+     * Permanently removes a user and everything they created
+     * Each step is idempotent, so if the job dies halfway the next run simply finishes the job.
+     * The users row goes last so the account stays "due" until everything else is gone.
+     */
+    async purgeUser(userId) {
+        // Mentions of this user, in their posts, and in their comments on other posts
+        await this.run(`
+            DELETE FROM mentions WHERE user_id = ?
+            OR post_id IN (SELECT id FROM posts WHERE user_id = ?)
+            OR comment_id IN (SELECT id FROM comments WHERE user_id = ?)
+        `, [userId, userId, userId]);
+
+        // Other people's likes/comments/bookmarks on this user's posts
+        await this.run('DELETE FROM likes WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run(`
+            DELETE FROM comment_likes
+            WHERE comment_id IN (SELECT id FROM comments WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?))
+        `, [userId]);
+        await this.run('DELETE FROM comments WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM bookmarks WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM post_revisions WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM post_media WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM post_hashtags WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM reposts WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM poll_votes WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM poll_options WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM polls WHERE post_id IN (SELECT id FROM posts WHERE user_id = ?)', [userId]);
+        await this.run('DELETE FROM pinned_posts WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM posts WHERE user_id = ?', [userId]);
+
+        // This user's activity on other people's content
+        await this.run('DELETE FROM reposts WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM poll_votes WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM likes WHERE user_id = ?', [userId]);
+        await this.run(`
+            DELETE FROM comment_likes
+            WHERE user_id = ? OR comment_id IN (SELECT id FROM comments WHERE user_id = ?)
+        `, [userId, userId]);
+        // Comments with replies become authorless tombstones so other people's replies stay in
+        // their threads; the rest are deleted along with any tombstones left without replies
+        const comments = await this.all('SELECT id FROM comments WHERE user_id = ?', [userId]);
+        for (const comment of comments) {
+            await this.deleteComment(comment.id);
+        }
+        await this.run('UPDATE comments SET user_id = NULL WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM bookmarks WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM follows WHERE follower_id = ? OR following_id = ?', [userId, userId]);
+
+        // Messages they sent, their conversation memberships, and conversations nobody is left in
+        await this.run('DELETE FROM messages WHERE sender_id = ?', [userId]);
+        await this.run('DELETE FROM conversation_participants WHERE user_id = ?', [userId]);
+        await this.run(`
+            DELETE FROM conversations
+            WHERE id NOT IN (SELECT DISTINCT conversation_id FROM conversation_participants)
+        `);
+
+        // Auth state
+        await this.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM email_verification_tokens WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM user_identities WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM data_exports WHERE user_id = ?', [userId]);
+        await this.run('DELETE FROM api_tokens WHERE user_id = ?', [userId]);
+
+        await this.run('DELETE FROM users WHERE id = ?', [userId]);
+    }
+
     // ==================== POST METHODS ====================
 
     /**
      * Gets a single post by ID
      * Simple SELECT with WHERE clause
+     * viewerId decides what the poll shows (see getPoll)
      */
-    getPost(postId) {
+    getPost(postId, viewerId = null) {
         return new Promise((resolve, reject) => {
             this.db.get(
                 'SELECT * FROM posts WHERE id = ?',
@@ -209,55 +390,103 @@ class Database {
                         id: row.id,
                         userId: row.user_id,
                         content: row.content,
-                        imageUrl: row.image_url,
+                        quotedPostId: row.quoted_post_id || null,
+                        visibility: row.visibility,
+                        status: row.status,
+                        publishAt: row.publish_at,
                         createdAt: row.created_at,
                         updatedAt: row.updated_at,
+                        linkUrl: row.link_url,
                     });
                 }
             );
+        }).then(async post => {
+            if (!post) return null;
+            const { linkUrl, ...rest } = post;
+            return {
+                ...rest,
+                media: await this.getPostMedia(post.id),
+                linkPreview: await this.getLinkPreview(linkUrl),
+                poll: await this.getPoll(post.id, viewerId),
+            };
         });
     }
 
     /**
-     * Gets posts for a user's feed (posts from people they follow + their own posts)
-     * Complex query with multiple JOINs and subquery
+     * Checks whether a user may see a post (it must be published and its visibility must allow them)
+     * Returns boolean
+     */
+    canViewPost(postId, viewerId) {
+        return this.get(
+            `SELECT 1 FROM posts p WHERE p.id = ? AND p.status = 'published' AND ${visibleTo('p')}`,
+            [postId, ...viewerParams(viewerId)]
+        ).then(row => !!row);
+    }
+
+    async setPostVisibility(postId, visibility) {
+        await this.run('UPDATE posts SET visibility = ? WHERE id = ?', [visibility, postId]);
+    }
+
+    /**
+     * Gets posts for a user's feed (posts and reposts from people they follow + their own)
+     * Complex query with CTEs, a window function and multiple JOINs
+     * A post shows up once, at its most recent appearance; if that was a repost it carries
+     * repostedBy so clients can show "reposted by ..."
      */
     getFeedPosts(userId) {
         return new Promise((resolve, reject) => {
             this.db.all(
-                `SELECT 
+                `WITH feed_users AS (
+                    -- The current user plus everyone they follow
+                    SELECT following_id AS id FROM follows WHERE follower_id = ?
+                    UNION SELECT ?
+                ),
+                feed_entries AS (
+                    -- Posts written by feed users...
+                    SELECT p.id AS post_id, p.created_at AS activity_at, NULL AS reposted_by_id
+                    FROM posts p
+                    WHERE p.user_id IN (SELECT id FROM feed_users)
+                    UNION ALL
+                    -- ...and posts they reposted
+                    SELECT rp.post_id, rp.created_at, rp.user_id
+                    FROM reposts rp
+                    WHERE rp.user_id IN (SELECT id FROM feed_users)
+                ),
+                latest_entries AS (
+                    -- Number each post's appearances newest first so we can keep just one
+                    SELECT *, ROW_NUMBER() OVER (PARTITION BY post_id ORDER BY activity_at DESC) AS appearance
+                    FROM feed_entries
+                )
+                SELECT 
                     p.*,  -- All columns from posts table
                     u.username,  -- Username from users table
-                    GROUP_CONCAT(DISTINCT l.user_id) as likes  -- List of user IDs who liked this post
-                FROM posts p
+                    GROUP_CONCAT(DISTINCT l.user_id) as likes,  -- List of user IDs who liked this post
+                    EXISTS(SELECT 1 FROM post_revisions r WHERE r.post_id = p.id) as edited,  -- Has this post ever been edited?
+                    e.activity_at,  -- When it was posted, or reposted
+                    e.reposted_by_id,
+                    ru.username AS reposted_by_username
+                FROM latest_entries e
+                JOIN posts p ON e.post_id = p.id
                 JOIN users u ON p.user_id = u.id  -- Join to get username
+                LEFT JOIN users ru ON e.reposted_by_id = ru.id  -- Who reposted it (NULL for original posts)
                 LEFT JOIN likes l ON p.id = l.post_id  -- Left join to get likes (posts with no likes still included)
-                WHERE p.user_id IN (
-                    -- Subquery: gets all users that the current user follows
-                    SELECT following_id FROM follows WHERE follower_id = ?
-                ) OR p.user_id = ?  -- Also include the user's own posts
+                WHERE e.appearance = 1  -- No duplicates: only each post's latest appearance
+                AND p.status = 'published'  -- Drafts and scheduled posts aren't live yet
+                AND ${visibleTo('p')}  -- Followers-only and mentioned-only posts (and reposts of them)
                 GROUP BY p.id  -- Required for GROUP_CONCAT
-                ORDER BY p.created_at DESC  -- Most recent posts first
+                ORDER BY e.activity_at DESC  -- Most recent activity first
                 LIMIT 50 --Maximum 50 posts`,
-                [userId, userId],
+                [userId, userId, ...viewerParams(userId)],
                 async (err, rows) => {
                     if (err) reject(err);
                     else {
                         // For each post, also fetch its comments (separate query)
-                        const posts = await Promise.all(rows.map(async row => {
-                            const comments = await this.getPostComments(row.id);
-                            return {
-                                id: row.id,
-                                userId: row.user_id,
-                                username: row.username,
-                                content: row.content,
-                                imageUrl: row.image_url,
-                                likes: row.likes ? row.likes.split(',') : [], // Convert string to array
-                                comments: comments,
-                                createdAt: row.created_at,
-                                updatedAt: row.updated_at,
-                            };
-                        }));
+                        const posts = await Promise.all(rows.map(async row => ({
+                            ...await this.mapPostRow(row, userId),
+                            repostedBy: row.reposted_by_id
+                                ? { id: row.reposted_by_id, username: row.reposted_by_username, repostedAt: row.activity_at }
+                                : null,
+                        })));
                         resolve(posts);
                     }
                 }
@@ -275,7 +504,8 @@ class Database {
                 `SELECT 
                     p.*,
                     u.username,
-                    GROUP_CONCAT(DISTINCT l.user_id) as likes
+                    GROUP_CONCAT(DISTINCT l.user_id) as likes,
+                    EXISTS(SELECT 1 FROM post_revisions r WHERE r.post_id = p.id) as edited
                 FROM posts p
                 JOIN users u ON p.user_id = u.id
                 LEFT JOIN likes l ON p.id = l.post_id
@@ -283,27 +513,16 @@ class Database {
                 AND p.user_id NOT IN (  -- Exclude posts from people they already follow
                     SELECT following_id FROM follows WHERE follower_id = ?
                 )
+                AND p.status = 'published'
+                AND ${visibleTo('p')}
                 GROUP BY p.id
                 ORDER BY RANDOM()  -- SQLite function for random ordering
                 LIMIT 50`,
-                [userId, userId],
+                [userId, userId, ...viewerParams(userId)],
                 async (err, rows) => {
                     if (err) reject(err);
                     else {
-                        const posts = await Promise.all(rows.map(async row => {
-                            const comments = await this.getPostComments(row.id);
-                            return {
-                                id: row.id,
-                                userId: row.user_id,
-                                username: row.username,
-                                content: row.content,
-                                imageUrl: row.image_url,
-                                likes: row.likes ? row.likes.split(',') : [],
-                                comments: comments,
-                                createdAt: row.created_at,
-                                updatedAt: row.updated_at,
-                            };
-                        }));
+                        const posts = await Promise.all(rows.map(row => this.mapPostRow(row, userId)));
                         resolve(posts);
                     }
                 }
@@ -314,38 +533,35 @@ class Database {
     /**
      * Gets all posts from a specific user
      * Similar to getFeedPosts but filtered to single user
+     * viewerId is who is looking (defaults to the user themselves)
+     * Pinned posts come first, in the order the user chose, flagged with pinned
      */
-    getUserPosts(userId) {
+    getUserPosts(userId, viewerId = userId) {
         return new Promise((resolve, reject) => {
             this.db.all(
                 `SELECT 
                     p.*,
                     u.username,
-                    GROUP_CONCAT(DISTINCT l.user_id) as likes
+                    pp.position AS pin_position,
+                    GROUP_CONCAT(DISTINCT l.user_id) as likes,
+                    EXISTS(SELECT 1 FROM post_revisions r WHERE r.post_id = p.id) as edited
                 FROM posts p
                 JOIN users u ON p.user_id = u.id
+                LEFT JOIN pinned_posts pp ON pp.post_id = p.id AND pp.user_id = p.user_id
                 LEFT JOIN likes l ON p.id = l.post_id
                 WHERE p.user_id = ?  -- Only posts from this specific user
+                AND p.status = 'published'  -- Drafts are listed separately (getUserDrafts)
+                AND ${visibleTo('p')}  -- Only what the viewer is allowed to see
                 GROUP BY p.id
-                ORDER BY p.created_at DESC --Most recent first`,
-                [userId],
+                ORDER BY pp.position IS NULL, pp.position, p.created_at DESC --Pins first, then most recent first`,
+                [userId, ...viewerParams(viewerId)],
                 async (err, rows) => {
                     if (err) reject(err);
                     else {
-                        const posts = await Promise.all(rows.map(async row => {
-                            const comments = await this.getPostComments(row.id);
-                            return {
-                                id: row.id,
-                                userId: row.user_id,
-                                username: row.username,
-                                content: row.content,
-                                imageUrl: row.image_url,
-                                likes: row.likes ? row.likes.split(',') : [],
-                                comments: comments,
-                                createdAt: row.created_at,
-                                updatedAt: row.updated_at,
-                            };
-                        }));
+                        const posts = await Promise.all(rows.map(async row => ({
+                            ...await this.mapPostRow(row, viewerId),
+                            pinned: row.pin_position !== null,
+                        })));
                         resolve(posts);
                     }
                 }
@@ -356,28 +572,292 @@ class Database {
     /**
      * Creates a new post
      * Demonstrates INSERT with multiple columns and timestamp handling
+     * Posts are published straight away unless status says 'draft' or 'scheduled' (with publishAt)
+     * linkUrl is the first link in the content (see link-preview.js), if any
+     */
+    async createPost(post) {
+        const now = new Date().toISOString(); // Current timestamp in ISO format
+        const status = post.status || 'published';
+        const visibility = post.visibility || 'public';
+        await this.run(
+            `INSERT INTO posts (id, user_id, content, quoted_post_id, visibility, status, publish_at, link_url, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                post.id, post.userId, post.content, post.quotedPostId || null, visibility, status,
+                post.publishAt || null, post.linkUrl || null, now, now,
+            ]
+        );
+        const media = await this.setPostMedia(post.id, post.media || []);
+
+        return {
+            id: post.id,
+            userId: post.userId,
+            content: post.content,
+            media,
+            quotedPostId: post.quotedPostId || null,
+            visibility,
+            status,
+            publishAt: post.publishAt || null,
+            createdAt: now,
+            updatedAt: now,
+            linkPreview: await this.getLinkPreview(post.linkUrl),
+        };
+    }
+
+    /**
+     * Builds the API shape for a post row selected with username, likes and edited
+     * (see getFeedPosts), fetching comments, images, mentions, counts and any quoted post separately
+     * viewerId is who the payload is for (comment likes, hidden comments)
+     */
+    async mapPostRow(row, viewerId = null) {
+        // Only a preview of the first few visible top-level comments; the rest are paged separately
+        const { comments } = await this.getPostComments(row.id, {
+            limit: COMMENT_PREVIEW_LIMIT,
+            viewerId,
+            visibleOnly: true,
+        });
+        const commentCount = await this.getCommentCount(row.id);
+        const media = await this.getPostMedia(row.id);
+        const mentions = await this.getPostMentions(row.id);
+        const counts = await this.getRepostCounts(row.id);
+        const poll = await this.getPoll(row.id, viewerId);
+        return {
+            id: row.id,
+            userId: row.user_id,
+            username: row.username,
+            content: row.content,
+            mentions: mentions,
+            media: media,
+            quotedPostId: row.quoted_post_id || null,
+            quotedPost: row.quoted_post_id ? await this.getQuotedPost(row.quoted_post_id, viewerId) : null,
+            visibility: row.visibility,
+            poll: poll,
+            linkPreview: await this.getLinkPreview(row.link_url),
+            likes: row.likes ? row.likes.split(',') : [], // Convert string to array
+            comments: comments,
+            commentCount: commentCount,
+            repostCount: counts.repostCount,
+            quoteCount: counts.quoteCount,
+            edited: !!row.edited,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        };
+    }
+
+    // ==================== PINNED POST METHODS ====================
+
+    /**
+     * Gets the IDs of the posts a user has pinned, in order
+     * With viewerId, only the ones that viewer is allowed to see
      */
-    createPost(post) {
+    getPinnedPostIds(userId, viewerId = userId) {
+        return this.all(
+            `SELECT pp.post_id FROM pinned_posts pp
+             JOIN posts p ON p.id = pp.post_id
+             WHERE pp.user_id = ? AND p.status = 'published'
+             AND ${visibleTo('p')}
+             ORDER BY pp.position`,
+            [userId, ...viewerParams(viewerId)]
+        ).then(rows => rows.map(row => row.post_id));
+    }
+
+    /**
+     * Replaces a user's pins with postIds (in order; [] unpins everything)
+     * Runs as one transaction so concurrent pin requests can't interleave their writes and
+     * leave duplicate or extra pins behind
+     */
+    setPinnedPosts(userId, postIds) {
+        // db.exec runs the whole script as one exclusive job on the shared connection, so other
+        // requests' statements wait until it's done instead of landing inside the transaction.
+        // Posts deleted in the meantime are skipped.
+        const script = `
+            BEGIN IMMEDIATE;
+            DELETE FROM pinned_posts WHERE user_id = ${sqlLiteral(userId)};
+            INSERT INTO pinned_posts (user_id, post_id, position, created_at)
+                SELECT ${sqlLiteral(userId)}, value, key, ${sqlLiteral(new Date().toISOString())}
+                FROM json_each(${sqlLiteral(JSON.stringify(postIds))})
+                WHERE value IN (SELECT id FROM posts);
+            COMMIT;
+        `;
         return new Promise((resolve, reject) => {
-            const now = new Date().toISOString(); // Current timestamp in ISO format
-            this.db.run(
-                'INSERT INTO posts (id, user_id, content, image_url, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
-                [post.id, post.userId, post.content, post.imageUrl || null, now, now],
-                function (err) {
-                    if (err) reject(err);
-                    else resolve({
-                        id: post.id,
-                        userId: post.userId,
-                        content: post.content,
-                        imageUrl: post.imageUrl || null,
-                        createdAt: now,
-                        updatedAt: now,
-                    });
-                }
-            );
+            this.db.exec(script, (err) => {
+                if (!err) return resolve();
+                // The callback runs before anything queued behind the script, so this ROLLBACK
+                // does too (it fails harmlessly if BEGIN was what went wrong)
+                this.db.exec('ROLLBACK', () => reject(err));
+            });
         });
     }
 
+    // ==================== REPOST METHODS ====================
+
+    isPostReposted(postId, userId) {
+        return this.get('SELECT 1 FROM reposts WHERE post_id = ? AND user_id = ?', [postId, userId])
+            .then(row => !!row);
+    }
+
+    async repostPost(postId, userId) {
+        await this.run(
+            'INSERT OR IGNORE INTO reposts (post_id, user_id, created_at) VALUES (?, ?, ?)',
+            [postId, userId, new Date().toISOString()]
+        );
+    }
+
+    async unrepostPost(postId, userId) {
+        await this.run('DELETE FROM reposts WHERE post_id = ? AND user_id = ?', [postId, userId]);
+    }
+
+    getRepostCounts(postId) {
+        return this.get(
+            `SELECT
+                (SELECT COUNT(*) FROM reposts WHERE post_id = ?) AS repost_count,
+                (SELECT COUNT(*) FROM posts WHERE quoted_post_id = ? AND status = 'published') AS quote_count`,
+            [postId, postId]
+        ).then(row => ({ repostCount: row.repost_count, quoteCount: row.quote_count }));
+    }
+
+    /**
+     * Gets the compact version of a post embedded in a quote post, or null if it was deleted
+     * (or isn't published, or viewerId isn't allowed to see it)
+     * Only one level deep: a quoted post doesn't embed whatever it quotes
+     */
+    async getQuotedPost(postId, viewerId = null) {
+        const row = await this.get(
+            `SELECT p.id, p.user_id, p.content, p.quoted_post_id, p.visibility, p.created_at, u.username
+             FROM posts p
+             JOIN users u ON p.user_id = u.id
+             WHERE p.id = ? AND p.status = 'published'
+             AND ${visibleTo('p')}`,
+            [postId, ...viewerParams(viewerId)]
+        );
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            userId: row.user_id,
+            username: row.username,
+            content: row.content,
+            media: await this.getPostMedia(row.id),
+            poll: await this.getPoll(row.id, viewerId),
+            quotedPostId: row.quoted_post_id || null,
+            visibility: row.visibility,
+            createdAt: row.created_at,
+        };
+    }
+
+    // ==================== POST MEDIA METHODS ====================
+
+    /**
+     * Gets a post's images in display order
+     */
+    getPostMedia(postId) {
+        return this.all(
+            'SELECT * FROM post_media WHERE post_id = ? ORDER BY position',
+            [postId]
+        ).then(rows => rows.map(row => this.mapPostMedia(row)));
+    }
+
+    /**
+     * Replaces all of a post's images with `items` (in order)
+     * Items are { url, mimeType, altText, width, height, blurhash, variants }
+     */
+    async setPostMedia(postId, items) {
+        const now = new Date().toISOString();
+        await this.run('DELETE FROM post_media WHERE post_id = ?', [postId]);
+        for (const [position, item] of items.entries()) {
+            await this.run(
+                `INSERT INTO post_media (id, post_id, position, url, mime_type, alt_text, width, height,
+                    blurhash, variants, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    require('crypto').randomUUID(),
+                    postId,
+                    position,
+                    item.url,
+                    item.mimeType || null,
+                    item.altText || '',
+                    item.width || null,
+                    item.height || null,
+                    item.blurhash || null,
+                    JSON.stringify(item.variants || {}),
+                    now,
+                ]
+            );
+        }
+        return this.getPostMedia(postId);
+    }
+
+    /**
+     * Updates alt text on existing images by position; undefined entries are left alone
+     */
+    async updatePostMediaAltText(postId, altTexts) {
+        for (const [position, altText] of altTexts.entries()) {
+            if (altText === undefined) continue;
+            await this.run(
+                'UPDATE post_media SET alt_text = ? WHERE post_id = ? AND position = ?',
+                [altText, postId, position]
+            );
+        }
+    }
+
+    /**
+     * Edits a post, first saving its current content and images as a revision
+     * Pass media to replace the images ([] removes them all), or altTexts to relabel the
+     * current ones; leave both undefined to keep the images as they are
+     * Pass linkUrl along with new content (null when it has no link)
+     */
+    async updatePost(postId, { content, media, altTexts, linkUrl }) {
+        const current = await this.getPost(postId);
+        if (!current) return null;
+
+        const now = new Date().toISOString();
+        const snapshot = current.media.map(({ id, ...item }) => item);
+        await this.run(
+            'INSERT INTO post_revisions (id, post_id, content, media, created_at) VALUES (?, ?, ?, ?, ?)',
+            [require('crypto').randomUUID(), postId, current.content, JSON.stringify(snapshot), now]
+        );
+        await this.run(
+            'UPDATE posts SET content = ?, updated_at = ? WHERE id = ?',
+            [content !== undefined ? content : current.content, now, postId]
+        );
+        if (linkUrl !== undefined) {
+            await this.run('UPDATE posts SET link_url = ? WHERE id = ?', [linkUrl, postId]);
+        }
+
+        if (media !== undefined) {
+            await this.setPostMedia(postId, media);
+        } else if (altTexts) {
+            await this.updatePostMediaAltText(postId, altTexts);
+        }
+        return this.getPost(postId);
+    }
+
+    /**
+     * Gets a post's earlier versions, newest first
+     */
+    getPostRevisions(postId) {
+        return this.all(
+            'SELECT * FROM post_revisions WHERE post_id = ? ORDER BY created_at DESC',
+            [postId]
+        ).then(rows => rows.map(row => ({
+            id: row.id,
+            postId: row.post_id,
+            content: row.content,
+            media: JSON.parse(row.media || '[]'),
+            createdAt: row.created_at,
+        })));
+    }
+
+    /**
+     * Gets every image file a post has ever had (current and from revisions, thumbnails included)
+     * so deleting the post can clean up all of them
+     */
+    async getPostImageUrls(postId) {
+        const media = await this.getPostMedia(postId);
+        const revisions = await this.getPostRevisions(postId);
+        return this.collectMediaUrls([...media, ...revisions.flatMap(revision => revision.media)]);
+    }
+
     /**
      * Deletes a post
      * Simple DELETE with WHERE clause
@@ -396,6 +876,206 @@ class Database {
         });
     }
 
+    // ==================== DRAFT METHODS ====================
+
+    /**
+     * Gets a user's unpublished posts: scheduled ones first (soonest first), then drafts
+     * (most recently edited first)
+     */
+    async getUserDrafts(userId) {
+        const rows = await this.all(
+            `SELECT id FROM posts
+             WHERE user_id = ? AND status != 'published'
+             ORDER BY publish_at IS NULL, publish_at ASC, updated_at DESC`,
+            [userId]
+        );
+        return Promise.all(rows.map(row => this.getPost(row.id)));
+    }
+
+    /**
+     * Edits a draft or scheduled post; no revision is kept since it was never public
+     * publishAt schedules it (null turns it back into a plain draft, undefined keeps the schedule).
+     * media, altTexts and linkUrl work as in updatePost; visibility is left alone when not given.
+     */
+    async updateDraft(postId, { content, media, altTexts, publishAt, visibility, linkUrl }) {
+        const current = await this.getPost(postId);
+        if (!current) return null;
+
+        const nextPublishAt = publishAt !== undefined ? publishAt : current.publishAt;
+        // The status check keeps a post the scheduler just published from sliding back to a draft
+        await this.run(
+            `UPDATE posts SET content = ?, visibility = ?, status = ?, publish_at = ?, updated_at = ?
+             WHERE id = ? AND status != 'published'`,
+            [
+                content !== undefined ? content : current.content,
+                visibility || current.visibility,
+                nextPublishAt ? 'scheduled' : 'draft',
+                nextPublishAt || null,
+                new Date().toISOString(),
+                postId,
+            ]
+        );
+        if (linkUrl !== undefined) {
+            await this.run(
+                "UPDATE posts SET link_url = ? WHERE id = ? AND status != 'published'",
+                [linkUrl, postId]
+            );
+        }
+
+        if (media !== undefined) {
+            await this.setPostMedia(postId, media);
+        } else if (altTexts) {
+            await this.updatePostMediaAltText(postId, altTexts);
+        }
+        return this.getPost(postId);
+    }
+
+    /**
+     * Makes a draft or scheduled post live, dated now so it lands at the top of feeds
+     * Resolves true if this call published it, false if it was already published or is gone,
+     * so the scheduler and the publish endpoint can't both publish the same post
+     */
+    publishPost(postId) {
+        return new Promise((resolve, reject) => {
+            const now = new Date().toISOString();
+            this.db.run(
+                `UPDATE posts SET status = 'published', publish_at = NULL, created_at = ?, updated_at = ?
+                 WHERE id = ? AND status != 'published'`,
+                [now, now, postId],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    /**
+     * Gets the IDs of scheduled posts whose publish time has passed, oldest first
+     */
+    getDueScheduledPostIds(now = new Date().toISOString()) {
+        return this.all(
+            "SELECT id FROM posts WHERE status = 'scheduled' AND publish_at <= ? ORDER BY publish_at ASC",
+            [now]
+        ).then(rows => rows.map(row => row.id));
+    }
+
+    // ==================== POLL METHODS ====================
+
+    /**
+     * Attaches a poll to a post
+     * options are the option texts in display order
+     */
+    async createPoll(postId, { options, multipleChoice, closesAt }) {
+        const now = new Date().toISOString();
+        await this.run(
+            'INSERT INTO polls (post_id, multiple_choice, closes_at, created_at) VALUES (?, ?, ?, ?)',
+            [postId, multipleChoice ? 1 : 0, closesAt, now]
+        );
+        for (const [position, text] of options.entries()) {
+            await this.run(
+                'INSERT INTO poll_options (id, post_id, position, text) VALUES (?, ?, ?, ?)',
+                [require('crypto').randomUUID(), postId, position, text]
+            );
+        }
+    }
+
+    /**
+     * Gets a post's poll as viewerId sees it, or null if the post has no poll
+     * Vote counts are null until the viewer has voted or the poll has closed
+     */
+    async getPoll(postId, viewerId = null) {
+        const poll = await this.get('SELECT * FROM polls WHERE post_id = ?', [postId]);
+        if (!poll) return null;
+
+        const options = await this.all(
+            `SELECT o.id, o.text, COUNT(v.user_id) AS votes
+             FROM poll_options o
+             LEFT JOIN poll_votes v ON v.option_id = o.id
+             WHERE o.post_id = ?
+             GROUP BY o.id
+             ORDER BY o.position`,
+            [postId]
+        );
+        const myVotes = await this.all(
+            'SELECT option_id FROM poll_votes WHERE post_id = ? AND user_id = ?',
+            [postId, viewerId]
+        ).then(rows => rows.map(row => row.option_id));
+        const { voters } = await this.get(
+            'SELECT COUNT(DISTINCT user_id) AS voters FROM poll_votes WHERE post_id = ?',
+            [postId]
+        );
+
+        const closed = poll.closes_at <= new Date().toISOString();
+        const showResults = closed || myVotes.length > 0;
+        return {
+            multipleChoice: !!poll.multiple_choice,
+            closesAt: poll.closes_at,
+            closed,
+            voted: myVotes.length > 0,
+            myVotes,
+            voterCount: showResults ? voters : null,
+            options: options.map(option => ({
+                id: option.id,
+                text: option.text,
+                votes: showResults ? option.votes : null,
+            })),
+        };
+    }
+
+    /**
+     * Records a user's vote (one row per chosen option)
+     * The insert only happens if the user hasn't voted in this poll yet, in the same statement,
+     * so two requests racing can't both vote. Resolves true if the vote was recorded.
+     */
+    votePoll(postId, userId, optionIds) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO poll_votes (post_id, option_id, user_id, created_at)
+                 SELECT post_id, id, ?, ? FROM poll_options
+                 WHERE post_id = ? AND id IN (${optionIds.map(() => '?').join(', ')})
+                 AND NOT EXISTS (SELECT 1 FROM poll_votes WHERE post_id = ? AND user_id = ?)`,
+                [userId, new Date().toISOString(), postId, ...optionIds, postId, userId],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    getPollVoterIds(postId) {
+        return this.all('SELECT DISTINCT user_id FROM poll_votes WHERE post_id = ?', [postId])
+            .then(rows => rows.map(row => row.user_id));
+    }
+
+    /**
+     * Gets the post IDs of polls that have closed but whose results haven't been sent to voters
+     */
+    getClosedPollsAwaitingResults(now = new Date().toISOString()) {
+        return this.all(
+            'SELECT post_id FROM polls WHERE results_sent_at IS NULL AND closes_at <= ?',
+            [now]
+        ).then(rows => rows.map(row => row.post_id));
+    }
+
+    /**
+     * Marks a closed poll's results as sent
+     * Resolves true only for the first caller, so results go out once
+     */
+    markPollResultsSent(postId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE polls SET results_sent_at = ? WHERE post_id = ? AND results_sent_at IS NULL',
+                [new Date().toISOString(), postId],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
     // ==================== LIKE METHODS ====================
 
     /**
@@ -449,65 +1129,213 @@ class Database {
         });
     }
 
-    // ==================== COMMENT METHODS ====================
-
     /**
-     * Gets all comments for a post with user information
-     * JOIN to include username with each comment
+     * Gets the posts a user has liked and when
+     * Used by the personal data export
      */
-    getPostComments(postId) {
-        return new Promise((resolve, reject) => {
-            this.db.all(
-                `SELECT 
-                    c.*,  -- All columns from comments table
-                    u.username  -- Username of commenter
-                FROM comments c
-                JOIN users u ON c.user_id = u.id  -- Join to get username
-                WHERE c.post_id = ?
-                ORDER BY c.created_at ASC  --Oldest comments first(chronological order)`,
-                [postId],
-                (err, rows) => {
-                    if (err) reject(err);
-                    else {
-                        const comments = rows.map(row => ({
-                            id: row.id,
-                            postId: row.post_id,
-                            userId: row.user_id,
-                            username: row.username,
-                            content: row.content,
-                            createdAt: row.created_at,
-                        }));
-                        resolve(comments);
-                    }
-                }
-            );
-        });
+    getUserLikes(userId) {
+        return this.all(
+            'SELECT post_id, created_at FROM likes WHERE user_id = ? ORDER BY created_at ASC',
+            [userId]
+        ).then(rows => rows.map(row => ({ postId: row.post_id, createdAt: row.created_at })));
     }
 
+    // ==================== COMMENT METHODS ====================
+
     /**
-     * Adds a new comment to a post
-     * Simple INSERT with timestamp
+     * Gets one page of a post's comments with user information, reply and like counts
+     * parentId null gives the top-level comments, otherwise the direct replies to that comment.
+     * Oldest first; pass the last comment's { createdAt, id } as `after` to get the next page.
+     * viewerId decides `liked` and who may read hidden comments; visibleOnly (used for feed
+     * previews) leaves out deleted and hidden comments, except as placeholders for replies that
+     * commentCount still counts. replyCount counts replies the same way.
+     * Resolves with { comments, hasMore }
      */
-    addComment(comment) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            this.db.run(
-                'INSERT INTO comments (id, post_id, user_id, content, created_at) VALUES (?, ?, ?, ?, ?)',
-                [comment.id, comment.postId, comment.userId, comment.content, now],
-                function (err) {
-                    if (err) reject(err);
+    async getPostComments(postId, { parentId = null, limit = 20, after = null, viewerId = null, visibleOnly = false } = {}) {
+        let query = `
+            SELECT
+                c.*,  -- All columns from comments table
+                u.username,  -- Username of commenter
+                p.user_id AS post_author_id,  -- The post author can still read comments they hid
+                -- Only replies a visible listing shows, so the count matches what clients can page through
+                (SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id AND ${visibleComment('r')}) AS reply_count,
+                (SELECT COUNT(*) FROM comment_likes cl WHERE cl.comment_id = c.id) AS like_count,
+                EXISTS(SELECT 1 FROM comment_likes cl WHERE cl.comment_id = c.id AND cl.user_id = ?) AS liked
+            FROM comments c
+            LEFT JOIN users u ON c.user_id = u.id  -- LEFT so tombstones of purged users stay in the thread
+            JOIN posts p ON c.post_id = p.id
+            WHERE c.post_id = ?
+            AND c.parent_id IS ?  -- IS (not =) so NULL matches top-level comments
+        `;
+        const params = [viewerId, postId, parentId];
+
+        if (visibleOnly) {
+            query += ` AND ${visibleComment('c')}`;
+        }
+
+        if (after) {
+            // Row-value comparison: later timestamp, or same timestamp and later ID
+            query += ' AND (c.created_at, c.id) > (?, ?)';
+            params.push(after.createdAt, after.id);
+        }
+
+        // Fetch one extra row to know whether there's another page
+        query += ' ORDER BY c.created_at ASC, c.id ASC LIMIT ?';
+        params.push(limit + 1);
+
+        const rows = await this.all(query, params);
+        // One query for every comment's mentions, grouped by comment
+        const mentions = await this.getCommentMentionsForPost(postId);
+
+        return {
+            comments: rows.slice(0, limit).map(row => this.mapComment(row, mentions.get(row.id), viewerId)),
+            hasMore: rows.length > limit,
+        };
+    }
+
+    // Live comments at every depth, replies included; tombstones and hidden comments don't count
+    getCommentCount(postId) {
+        return this.get(
+            'SELECT COUNT(*) AS count FROM comments WHERE post_id = ? AND deleted_at IS NULL AND hidden_at IS NULL',
+            [postId]
+        ).then(row => row.count);
+    }
+
+    /**
+     * Gets a single comment by ID
+     */
+    getComment(commentId) {
+        return this.get('SELECT * FROM comments WHERE id = ?', [commentId]).then(row => row ? {
+            id: row.id,
+            postId: row.post_id,
+            userId: row.user_id,
+            parentId: row.parent_id,
+            depth: row.depth,
+            content: row.content,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            deletedAt: row.deleted_at,
+            hiddenAt: row.hidden_at,
+        } : null);
+    }
+
+    async updateComment(commentId, content) {
+        await this.run(
+            'UPDATE comments SET content = ?, updated_at = ? WHERE id = ?',
+            [content, new Date().toISOString(), commentId]
+        );
+    }
+
+    hasReplies(commentId) {
+        return this.get('SELECT 1 FROM comments WHERE parent_id = ? LIMIT 1', [commentId]).then(row => !!row);
+    }
+
+    /**
+     * Deletes a comment
+     * A comment with replies becomes a tombstone (content, likes and mentions removed, row kept)
+     * so the thread under it stays put. Otherwise the row goes, along with any tombstoned
+     * ancestors that are left without replies.
+     */
+    async deleteComment(commentId) {
+        if (await this.hasReplies(commentId)) {
+            await this.run('DELETE FROM mentions WHERE comment_id = ?', [commentId]);
+            await this.run('DELETE FROM comment_likes WHERE comment_id = ?', [commentId]);
+            await this.run(
+                "UPDATE comments SET content = '', deleted_at = ? WHERE id = ?",
+                [new Date().toISOString(), commentId]
+            );
+            return;
+        }
+
+        let comment = await this.getComment(commentId);
+        while (comment) {
+            await this.run('DELETE FROM comments WHERE id = ?', [comment.id]);
+
+            const parent = comment.parentId && await this.getComment(comment.parentId);
+            comment = parent && parent.deletedAt && !(await this.hasReplies(parent.id)) ? parent : null;
+        }
+    }
+
+    // Hidden comments stay in the thread but only the commenter and the post author can read them
+    async setCommentHidden(commentId, hidden) {
+        await this.run(
+            'UPDATE comments SET hidden_at = ? WHERE id = ?',
+            [hidden ? new Date().toISOString() : null, commentId]
+        );
+    }
+
+    isCommentLiked(commentId, userId) {
+        return this.get('SELECT 1 FROM comment_likes WHERE comment_id = ? AND user_id = ?', [commentId, userId])
+            .then(row => !!row);
+    }
+
+    async likeComment(commentId, userId) {
+        await this.run(
+            'INSERT OR IGNORE INTO comment_likes (comment_id, user_id, created_at) VALUES (?, ?, ?)',
+            [commentId, userId, new Date().toISOString()]
+        );
+    }
+
+    async unlikeComment(commentId, userId) {
+        await this.run('DELETE FROM comment_likes WHERE comment_id = ? AND user_id = ?', [commentId, userId]);
+    }
+
+    getCommentLikeCount(commentId) {
+        return this.get('SELECT COUNT(*) AS count FROM comment_likes WHERE comment_id = ?', [commentId])
+            .then(row => row.count);
+    }
+
+    /**
+     * Adds a new comment to a post
+     * Simple INSERT with timestamp
+     */
+    addComment(comment) {
+        return new Promise((resolve, reject) => {
+            const now = new Date().toISOString();
+            this.db.run(
+                'INSERT INTO comments (id, post_id, user_id, parent_id, depth, content, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [comment.id, comment.postId, comment.userId, comment.parentId || null, comment.depth || 0, comment.content, now],
+                function (err) {
+                    if (err) reject(err);
                     else resolve({
                         id: comment.id,
                         postId: comment.postId,
                         userId: comment.userId,
+                        parentId: comment.parentId || null,
+                        depth: comment.depth || 0,
                         content: comment.content,
+                        replyCount: 0,
+                        likeCount: 0,
+                        liked: false,
+                        edited: false,
+                        deleted: false,
+                        hidden: false,
                         createdAt: now,
+                        updatedAt: null,
                     });
                 }
             );
         });
     }
 
+    /**
+     * Gets every comment a user has written, across all posts
+     * Used by the personal data export
+     */
+    getUserComments(userId) {
+        return this.all(
+            'SELECT * FROM comments WHERE user_id = ? ORDER BY created_at ASC',
+            [userId]
+        ).then(rows => rows.map(row => ({
+            id: row.id,
+            postId: row.post_id,
+            userId: row.user_id,
+            parentId: row.parent_id,
+            content: row.content,
+            createdAt: row.created_at,
+        })));
+    }
+
     // ==================== FOLLOW METHODS ====================
 
     /**
@@ -760,32 +1588,22 @@ class Database {
                 `SELECT 
                 p.*,
                 u.username,
-                GROUP_CONCAT(DISTINCT l.user_id) as likes
+                GROUP_CONCAT(DISTINCT l.user_id) as likes,
+                EXISTS(SELECT 1 FROM post_revisions r WHERE r.post_id = p.id) as edited
             FROM posts p
             JOIN users u ON p.user_id = u.id
             JOIN bookmarks b ON p.id = b.post_id
             LEFT JOIN likes l ON p.id = l.post_id
             WHERE b.user_id = ?  -- Only bookmarked posts by this user
+            AND p.status = 'published'  -- Posts moved back to drafts aren't live
+            AND ${visibleTo('p')}  -- In case they've lost access since (e.g. unfollowed)
             GROUP BY p.id
             ORDER BY b.created_at DESC  -- Most recently bookmarked first`,
-                [userId],
+                [userId, ...viewerParams(userId)],
                 async (err, rows) => {
                     if (err) reject(err);
                     else {
-                        const posts = await Promise.all(rows.map(async row => {
-                            const comments = await this.getPostComments(row.id);
-                            return {
-                                id: row.id,
-                                userId: row.user_id,
-                                username: row.username,
-                                content: row.content,
-                                imageUrl: row.image_url,
-                                likes: row.likes ? row.likes.split(',') : [],
-                                comments: comments,
-                                createdAt: row.created_at,
-                                updatedAt: row.updated_at,
-                            };
-                        }));
+                        const posts = await Promise.all(rows.map(row => this.mapPostRow(row, userId)));
                         resolve(posts);
                     }
                 }
@@ -793,6 +1611,224 @@ class Database {
         });
     }
 
+    // ==================== HASHTAG METHODS ====================
+
+    /**
+     * Syncs a post's tags with `tags` (already normalized)
+     * Tags the post already had keep their original timestamp so editing doesn't re-trend them
+     */
+    async setPostHashtags(postId, tags) {
+        const now = new Date().toISOString();
+        const keep = tags.length > 0 ? ` AND tag NOT IN (${tags.map(() => '?').join(', ')})` : '';
+        await this.run(`DELETE FROM post_hashtags WHERE post_id = ?${keep}`, [postId, ...tags]);
+
+        for (const tag of tags) {
+            await this.run(
+                'INSERT OR IGNORE INTO post_hashtags (post_id, tag, created_at) VALUES (?, ?, ?)',
+                [postId, tag, now]
+            );
+        }
+    }
+
+    /**
+     * Gets one page of posts using a tag, newest first
+     * Pass the { createdAt, id } of the last post you have as `before` to get the next page
+     * Resolves with { posts, hasMore }
+     */
+    async getHashtagPosts(tag, { limit = 20, before = null, viewerId = null } = {}) {
+        let query = `
+            SELECT
+                p.*,
+                u.username,
+                GROUP_CONCAT(DISTINCT l.user_id) as likes,
+                EXISTS(SELECT 1 FROM post_revisions r WHERE r.post_id = p.id) as edited
+            FROM post_hashtags h
+            JOIN posts p ON h.post_id = p.id
+            JOIN users u ON p.user_id = u.id
+            LEFT JOIN likes l ON p.id = l.post_id
+            WHERE h.tag = ?
+            AND p.status = 'published'
+            AND ${visibleTo('p')}
+        `;
+        const params = [tag, ...viewerParams(viewerId)];
+
+        if (before) {
+            // Row-value comparison: earlier timestamp, or same timestamp and earlier ID
+            query += ' AND (p.created_at, p.id) < (?, ?)';
+            params.push(before.createdAt, before.id);
+        }
+
+        // Fetch one extra row to know whether there's another page
+        query += ' GROUP BY p.id ORDER BY p.created_at DESC, p.id DESC LIMIT ?';
+        params.push(limit + 1);
+
+        const rows = await this.all(query, params);
+        return {
+            posts: await Promise.all(rows.slice(0, limit).map(row => this.mapPostRow(row, viewerId))),
+            hasMore: rows.length > limit,
+        };
+    }
+
+    /**
+     * Counts tag uses per hour since `since`, for trending (see rankTrendingTags)
+     */
+    getHashtagUsage(since) {
+        return this.all(
+            `SELECT h.tag, strftime('%Y-%m-%dT%H:00:00Z', h.created_at) AS hour, COUNT(*) AS uses
+             FROM post_hashtags h
+             JOIN posts p ON h.post_id = p.id
+             WHERE h.created_at >= ?
+             AND p.status = 'published'
+             AND p.visibility = 'public'  -- Trending is for everyone, so only public posts count
+             GROUP BY h.tag, hour`,
+            [since]
+        );
+    }
+
+    // ==================== MENTION METHODS ====================
+
+    /**
+     * Looks up users by username for mention resolution, case-insensitively
+     * Returns { id, username } rows; callers prefer exact matches (see resolveMentions)
+     */
+    getUsersByUsernames(usernames) {
+        if (usernames.length === 0) return Promise.resolve([]);
+        return this.all(
+            `SELECT id, username FROM users
+             WHERE username COLLATE NOCASE IN (${usernames.map(() => '?').join(', ')})`,
+            usernames
+        );
+    }
+
+    /**
+     * Replaces the mentions in a post's own content
+     * Mentions are { userId, start, end }
+     */
+    async setPostMentions(postId, mentions) {
+        await this.run('DELETE FROM mentions WHERE post_id = ? AND comment_id IS NULL', [postId]);
+        await this.insertMentions(postId, null, mentions);
+        return this.getPostMentions(postId);
+    }
+
+    async setCommentMentions(postId, commentId, mentions) {
+        await this.run('DELETE FROM mentions WHERE comment_id = ?', [commentId]);
+        await this.insertMentions(postId, commentId, mentions);
+        const byComment = await this.getCommentMentionsForPost(postId);
+        return byComment.get(commentId) || [];
+    }
+
+    async insertMentions(postId, commentId, mentions) {
+        const now = new Date().toISOString();
+        for (const mention of mentions) {
+            await this.run(
+                `INSERT INTO mentions (id, post_id, comment_id, user_id, start_index, end_index, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [require('crypto').randomUUID(), postId, commentId, mention.userId, mention.start, mention.end, now]
+            );
+        }
+    }
+
+    /**
+     * Gets the mentions in a post's own content, in text order
+     * The username is looked up now, so it's current even if the content shows an old one
+     */
+    getPostMentions(postId) {
+        return this.all(
+            `SELECT m.*, u.username FROM mentions m
+             JOIN users u ON m.user_id = u.id
+             WHERE m.post_id = ? AND m.comment_id IS NULL
+             ORDER BY m.start_index`,
+            [postId]
+        ).then(rows => rows.map(row => this.mapMention(row)));
+    }
+
+    /**
+     * Gets mentions for all comments on a post as a Map of comment ID -> mentions
+     */
+    async getCommentMentionsForPost(postId) {
+        const rows = await this.all(
+            `SELECT m.*, u.username FROM mentions m
+             JOIN users u ON m.user_id = u.id
+             WHERE m.post_id = ? AND m.comment_id IS NOT NULL
+             ORDER BY m.start_index`,
+            [postId]
+        );
+        const byComment = new Map();
+        for (const row of rows) {
+            if (!byComment.has(row.comment_id)) byComment.set(row.comment_id, []);
+            byComment.get(row.comment_id).push(this.mapMention(row));
+        }
+        return byComment;
+    }
+
+    // ==================== LINK PREVIEW METHODS ====================
+    // Previews are cached per URL and shared; posts and messages point at theirs through link_url
+
+    /**
+     * Gets the preview for a link, or null if there's no link or it isn't fetched (yet)
+     */
+    getLinkPreview(url) {
+        if (!url) return Promise.resolve(null);
+        return this.get(
+            "SELECT * FROM link_previews WHERE url = ? AND status = 'ready'",
+            [url]
+        ).then(row => row ? this.mapLinkPreview(row) : null);
+    }
+
+    /**
+     * Marks a link as pending so it gets fetched, unless it's already cached or being fetched
+     * Failed links are only tried again once they last failed before retryFailedBefore.
+     * Resolves true if the caller should fetch it.
+     */
+    claimLinkPreview(url, { retryFailedBefore }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO link_previews (url, status, created_at) VALUES (?, 'pending', ?)
+                 ON CONFLICT(url) DO UPDATE SET status = 'pending'
+                 WHERE link_previews.status = 'failed' AND link_previews.fetched_at < ?`,
+                [url, new Date().toISOString(), retryFailedBefore],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    async saveLinkPreview(url, { title, description, imageUrl, siteName }) {
+        await this.run(
+            `UPDATE link_previews SET status = 'ready', title = ?, description = ?, image_url = ?,
+                site_name = ?, fetched_at = ?
+             WHERE url = ?`,
+            [title, description, imageUrl, siteName, new Date().toISOString(), url]
+        );
+        return this.getLinkPreview(url);
+    }
+
+    async markLinkPreviewFailed(url) {
+        await this.run(
+            "UPDATE link_previews SET status = 'failed', fetched_at = ? WHERE url = ?",
+            [new Date().toISOString(), url]
+        );
+    }
+
+    // Links whose fetch was interrupted by a restart, oldest first, so they can be queued again
+    getPendingLinkPreviewUrls() {
+        return this.all(
+            "SELECT url FROM link_previews WHERE status = 'pending' ORDER BY created_at ASC"
+        ).then(rows => rows.map(row => row.url));
+    }
+
+    mapLinkPreview(row) {
+        return {
+            url: row.url,
+            title: row.title,
+            description: row.description,
+            imageUrl: row.image_url,
+            siteName: row.site_name,
+        };
+    }
+
     // ==================== MESSAGING METHODS ====================
     // (Merged: explicit group support, last_message_at for sorting, pagination on messages)
 
@@ -899,14 +1935,7 @@ class Database {
     WHERE m.conversation_id = ?
     ORDER BY m.created_at DESC
     LIMIT 1
-  `, [conversationId]).then(row => row ? {
-            id: row.id,
-            conversationId: row.conversation_id,
-            senderId: row.sender_id,
-            senderUsername: row.senderUsername,
-            content: row.content,
-            createdAt: row.created_at
-        } : null);
+  `, [conversationId]).then(row => row ? this.mapMessage(row) : null);
     }
 
     getUserConversations(userId) {
@@ -928,7 +1957,9 @@ class Database {
         });
     }
 
-    getConversationMessages(conversationId, { limit = 50, before = null } = {}) {
+    // Pass beforeId with before to page on (created_at, id), so messages sharing a timestamp
+    // at a page boundary aren't skipped
+    getConversationMessages(conversationId, { limit = 50, before = null, beforeId = null } = {}) {
         let query = `
     SELECT m.*, u.username AS senderUsername
     FROM messages m
@@ -937,31 +1968,29 @@ class Database {
   `;
         const params = [conversationId];
 
-        if (before) {
+        if (before && beforeId) {
+            // Row-value comparison: earlier timestamp, or same timestamp and earlier ID
+            query += ' AND (m.created_at, m.id) < (?, ?)';
+            params.push(before, beforeId);
+        } else if (before) {
             query += ' AND m.created_at < ?';
             params.push(before);
         }
 
-        query += ' ORDER BY m.created_at DESC LIMIT ?';
+        query += ' ORDER BY m.created_at DESC, m.id DESC LIMIT ?';
         params.push(limit);
 
         return this.all(query, params).then(rows =>
-            rows.reverse().map(r => ({
-                id: r.id,
-                conversationId: r.conversation_id,
-                senderId: r.sender_id,
-                senderUsername: r.senderUsername,
-                content: r.content,
-                createdAt: r.created_at
-            }))
+            Promise.all(rows.reverse().map(r => this.mapMessage(r)))
         );
     }
 
-    async createMessage({ id, conversationId, senderId, content }) {
+    // linkUrl is the first link in the content (see link-preview.js), if any
+    async createMessage({ id, conversationId, senderId, content, linkUrl = null }) {
         const now = new Date().toISOString();
         await this.run(
-            'INSERT INTO messages (id, conversation_id, sender_id, content, created_at) VALUES (?, ?, ?, ?, ?)',
-            [id, conversationId, senderId, content, now]
+            'INSERT INTO messages (id, conversation_id, sender_id, content, link_url, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, conversationId, senderId, content, linkUrl, now]
         );
         await this.run(
             'UPDATE conversations SET last_message_at = ? WHERE id = ?',
@@ -972,14 +2001,20 @@ class Database {
     SELECT m.*, u.username AS senderUsername
     FROM messages m JOIN users u ON m.sender_id = u.id
     WHERE m.id = ?
-  `, [id]).then(row => ({
+  `, [id]).then(row => this.mapMessage(row));
+    }
+
+    // Message rows are selected with the sender's username (as senderUsername)
+    async mapMessage(row) {
+        return {
             id: row.id,
             conversationId: row.conversation_id,
             senderId: row.sender_id,
             senderUsername: row.senderUsername,
             content: row.content,
+            linkPreview: await this.getLinkPreview(row.link_url),
             createdAt: row.created_at
-        }));
+        };
     }
 
     isParticipant(conversationId, userId) {
@@ -988,6 +2023,559 @@ class Database {
             [conversationId, userId]
         ).then(r => !!r);
     }
+
+    // ==================== SESSION METHODS ====================
+    // One row per signed-in device; only hashes of refresh tokens are stored
+
+    async createSession({ id, userId, refreshTokenHash, expiresAt, userAgent = null, ipAddress = null }) {
+        const now = new Date().toISOString();
+        await this.run(
+            `INSERT INTO sessions (id, user_id, refresh_token_hash, created_at, expires_at, user_agent, ip_address, last_seen_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, userId, refreshTokenHash, now, expiresAt, userAgent, ipAddress, now]
+        );
+        return { id, userId, createdAt: now, expiresAt, userAgent, ipAddress, lastSeenAt: now };
+    }
+
+    /**
+     * Returns the session only if it has not been revoked and has not expired
+     * Used on every authenticated request, so it stays a single indexed lookup
+     */
+    getActiveSession(sessionId) {
+        return this.get(
+            'SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?',
+            [sessionId, new Date().toISOString()]
+        ).then(row => row ? this.mapSession(row) : null);
+    }
+
+    getSessionByRefreshTokenHash(refreshTokenHash) {
+        return this.get('SELECT * FROM sessions WHERE refresh_token_hash = ?', [refreshTokenHash])
+            .then(row => row ? this.mapSession(row) : null);
+    }
+
+    // A hit here means a refresh token was presented after it had already been rotated
+    getSessionByPreviousRefreshTokenHash(refreshTokenHash) {
+        return this.get('SELECT * FROM sessions WHERE previous_refresh_token_hash = ?', [refreshTokenHash])
+            .then(row => row ? this.mapSession(row) : null);
+    }
+
+    /**
+     * Lists a user's signed-in devices, most recently active first
+     */
+    getUserActiveSessions(userId) {
+        return this.all(
+            `SELECT * FROM sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+             ORDER BY last_seen_at DESC`,
+            [userId, new Date().toISOString()]
+        ).then(rows => rows.map(row => this.mapSession(row)));
+    }
+
+    /**
+     * Records activity on a session
+     * Only writes when last_seen_at is older than a minute so busy clients don't hit the disk on every request
+     */
+    async touchSession(sessionId, ipAddress = null) {
+        const now = new Date();
+        const threshold = new Date(now.getTime() - 60 * 1000).toISOString();
+        await this.run(
+            `UPDATE sessions SET last_seen_at = ?, ip_address = COALESCE(?, ip_address)
+             WHERE id = ? AND (last_seen_at IS NULL OR last_seen_at < ?)`,
+            [now.toISOString(), ipAddress, sessionId, threshold]
+        );
+    }
+
+    /**
+     * Swaps the session's refresh token for a new one
+     * Returns false if `refreshTokenHash` was no longer current (already rotated, revoked or expired)
+     */
+    rotateSessionRefreshToken(sessionId, refreshTokenHash, newRefreshTokenHash, expiresAt) {
+        // One conditional UPDATE, so two concurrent refreshes with the same token can't both win
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE sessions
+                 SET previous_refresh_token_hash = refresh_token_hash, refresh_token_hash = ?, expires_at = ?
+                 WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?`,
+                [newRefreshTokenHash, expiresAt, sessionId, refreshTokenHash, new Date().toISOString()],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes === 1);
+                }
+            );
+        });
+    }
+
+    async revokeSession(sessionId) {
+        await this.run(
+            'UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), sessionId]
+        );
+    }
+
+    /**
+     * Revokes every active session for a user ("log out everywhere")
+     * Pass exceptSessionId to keep the caller's own session alive
+     */
+    async revokeUserSessions(userId, exceptSessionId = null) {
+        await this.run(
+            'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL AND id != ?',
+            [new Date().toISOString(), userId, exceptSessionId || '']
+        );
+    }
+
+    // ==================== EMAIL VERIFICATION METHODS ====================
+
+    async createEmailVerificationToken({ tokenHash, userId, email, expiresAt, requestedBySessionId = null }) {
+        await this.run(
+            `INSERT INTO email_verification_tokens (token_hash, user_id, email, created_at, expires_at, requested_by_session_id)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [tokenHash, userId, email, new Date().toISOString(), expiresAt, requestedBySessionId]
+        );
+    }
+
+    /**
+     * Marks a verification token as used and returns it
+     * Returns null if the token is unknown, expired or already used
+     */
+    async consumeEmailVerificationToken(tokenHash) {
+        // Claim the token in one conditional UPDATE so two concurrent requests can't both use it
+        const claimed = await new Promise((resolve, reject) => {
+            const now = new Date().toISOString();
+            this.db.run(
+                'UPDATE email_verification_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+                [now, tokenHash, now],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes === 1);
+                }
+            );
+        });
+        if (!claimed) return null;
+
+        const row = await this.get('SELECT * FROM email_verification_tokens WHERE token_hash = ?', [tokenHash]);
+        return { userId: row.user_id, email: row.email, requestedBySessionId: row.requested_by_session_id };
+    }
+
+    // ==================== PASSWORD RESET METHODS ====================
+
+    async createPasswordResetToken({ tokenHash, userId, expiresAt }) {
+        await this.run(
+            'INSERT INTO password_reset_tokens (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+            [tokenHash, userId, new Date().toISOString(), expiresAt]
+        );
+    }
+
+    /**
+     * Marks a reset token as used and returns it
+     * Returns null if the token is unknown, expired or already used, so only one request can ever claim it
+     */
+    async consumePasswordResetToken(tokenHash) {
+        const claimed = await new Promise((resolve, reject) => {
+            const now = new Date().toISOString();
+            this.db.run(
+                'UPDATE password_reset_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+                [now, tokenHash, now],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes === 1);
+                }
+            );
+        });
+        if (!claimed) return null;
+
+        const row = await this.get('SELECT * FROM password_reset_tokens WHERE token_hash = ?', [tokenHash]);
+        return { userId: row.user_id, expiresAt: row.expires_at };
+    }
+
+    // Burns every outstanding reset token for a user, including the one just used
+    async invalidatePasswordResetTokens(userId) {
+        await this.run(
+            'UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+            [new Date().toISOString(), userId]
+        );
+    }
+
+    // ==================== TWO-FACTOR METHODS ====================
+
+    // Stores a not-yet-confirmed secret; 2FA stays off until enableTotp is called
+    async setPendingTotpSecret(userId, secret) {
+        await this.run(
+            'UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_used_step = NULL WHERE id = ?',
+            [secret, userId]
+        );
+    }
+
+    async enableTotp(userId, lastUsedStep) {
+        await this.run(
+            'UPDATE users SET totp_enabled = 1, totp_last_used_step = ? WHERE id = ?',
+            [lastUsedStep, userId]
+        );
+    }
+
+    async disableTotp(userId) {
+        await this.run(
+            'UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_used_step = NULL WHERE id = ?',
+            [userId]
+        );
+        await this.run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+    }
+
+    /**
+     * Records a TOTP time step as used
+     * Returns true if no code from this step or a later one had been used yet
+     */
+    consumeTotpStep(userId, step) {
+        // One conditional UPDATE, so two concurrent logins can't both use the same code
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE users SET totp_last_used_step = ?
+                 WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+                [step, userId, step],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes === 1);
+                }
+            );
+        });
+    }
+
+    /**
+     * Replaces any existing recovery codes with a fresh set of hashes
+     */
+    async replaceRecoveryCodes(userId, codeHashes) {
+        const now = new Date().toISOString();
+        await this.run('DELETE FROM totp_recovery_codes WHERE user_id = ?', [userId]);
+        for (const codeHash of codeHashes) {
+            await this.run(
+                'INSERT INTO totp_recovery_codes (id, user_id, code_hash, created_at) VALUES (?, ?, ?, ?)',
+                [require('crypto').randomUUID(), userId, codeHash, now]
+            );
+        }
+    }
+
+    /**
+     * Marks a recovery code as used
+     * Returns true if the code was valid and unused
+     */
+    consumeRecoveryCode(userId, codeHash) {
+        // One conditional UPDATE, so two concurrent logins can't both spend the same code
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE totp_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+                [new Date().toISOString(), userId, codeHash],
+                function (err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    // ==================== AUTH THROTTLE METHODS ====================
+    // Failed-attempt counters live in SQLite so lockouts survive restarts
+
+    getAuthThrottle(key) {
+        return this.get('SELECT * FROM auth_throttles WHERE key = ?', [key]).then(row => row ? {
+            key: row.key,
+            failures: row.failures,
+            lastFailureAt: row.last_failure_at,
+            lockedUntil: row.locked_until,
+        } : null);
+    }
+
+    /**
+     * Counts an attempt against a key before it is checked, in one statement so concurrent
+     * attempts can't both read the same count. Once the count passes freeAttempts the key is
+     * locked for baseDelaySeconds, doubling per attempt up to maxDelaySeconds, and the count
+     * starts over if the last attempt was before staleBefore.
+     * Resolves { failures, lockedUntil } with the counts after this attempt, or null without
+     * counting anything if the key is already locked.
+     */
+    reserveAuthAttempt(key, { now, staleBefore, freeAttempts, baseDelaySeconds, maxDelaySeconds }) {
+        const failures = 'CASE WHEN last_failure_at < ?3 THEN 1 ELSE failures + 1 END';
+        return this.get(
+            `INSERT INTO auth_throttles (key, failures, last_failure_at, locked_until) VALUES (?1, 1, ?2, NULL)
+             ON CONFLICT(key) DO UPDATE SET
+                failures = ${failures},
+                last_failure_at = excluded.last_failure_at,
+                locked_until = CASE WHEN ${failures} > ?4
+                    THEN strftime('%Y-%m-%dT%H:%M:%fZ', ?2,
+                        '+' || MIN(?5 * (1 << MIN(${failures} - ?4 - 1, 30)), ?6) || ' seconds')
+                    ELSE NULL END
+             WHERE locked_until IS NULL OR locked_until <= ?2
+             RETURNING failures, locked_until`,
+            [key, now, staleBefore, freeAttempts, baseDelaySeconds, maxDelaySeconds]
+        ).then(row => row ? { failures: row.failures, lockedUntil: row.locked_until } : null);
+    }
+
+    // Takes back an attempt reserved by reserveAuthAttempt that turned out to be legitimate
+    async releaseAuthAttempt(key) {
+        await this.run('UPDATE auth_throttles SET failures = failures - 1 WHERE key = ? AND failures > 0', [key]);
+    }
+
+    async clearAuthThrottle(key) {
+        await this.run('DELETE FROM auth_throttles WHERE key = ?', [key]);
+    }
+
+    // ==================== OIDC METHODS ====================
+
+    async createOidcLoginState({ state, provider, codeVerifier, nonce, expiresAt }) {
+        const now = new Date().toISOString();
+        // Opportunistic cleanup so abandoned logins don't pile up
+        await this.run('DELETE FROM oidc_login_states WHERE expires_at <= ?', [now]);
+        await this.run(
+            'INSERT INTO oidc_login_states (state, provider, code_verifier, nonce, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [state, provider, codeVerifier, nonce, now, expiresAt]
+        );
+    }
+
+    /**
+     * Returns and deletes a pending login so each state can only be used once
+     * Returns null if the state is unknown or expired
+     */
+    consumeOidcLoginState(state) {
+        // One DELETE ... RETURNING, so two concurrent callbacks can't both claim the same state
+        return this.get(
+            'DELETE FROM oidc_login_states WHERE state = ? AND expires_at > ? RETURNING *',
+            [state, new Date().toISOString()]
+        ).then(row => row ? { provider: row.provider, codeVerifier: row.code_verifier, nonce: row.nonce } : null);
+    }
+
+    getUserIdentity(provider, subject) {
+        return this.get(
+            'SELECT * FROM user_identities WHERE provider = ? AND subject = ?',
+            [provider, subject]
+        ).then(row => row ? { provider: row.provider, subject: row.subject, userId: row.user_id, email: row.email } : null);
+    }
+
+    async linkUserIdentity({ provider, subject, userId, email }) {
+        await this.run(
+            'INSERT INTO user_identities (provider, subject, user_id, email, created_at) VALUES (?, ?, ?, ?, ?)',
+            [provider, subject, userId, email || null, new Date().toISOString()]
+        );
+    }
+
+    // ==================== DATA EXPORT METHODS ====================
+
+    async createDataExport({ id, userId }) {
+        const now = new Date().toISOString();
+        await this.run(
+            'INSERT INTO data_exports (id, user_id, status, created_at) VALUES (?, ?, ?, ?)',
+            [id, userId, 'pending', now]
+        );
+        return { id, userId, status: 'pending', createdAt: now };
+    }
+
+    getDataExport(exportId) {
+        return this.get('SELECT * FROM data_exports WHERE id = ?', [exportId])
+            .then(row => row ? this.mapDataExport(row) : null);
+    }
+
+    // An export the user is still waiting on, if any (we only build one at a time per user)
+    getUnfinishedDataExportForUser(userId) {
+        return this.get(
+            "SELECT * FROM data_exports WHERE user_id = ? AND status IN ('pending', 'building')",
+            [userId]
+        ).then(row => row ? this.mapDataExport(row) : null);
+    }
+
+    // Exports interrupted by a restart, oldest first, so they can be queued again
+    getUnfinishedDataExports() {
+        return this.all(
+            "SELECT * FROM data_exports WHERE status IN ('pending', 'building') ORDER BY created_at ASC"
+        ).then(rows => rows.map(row => this.mapDataExport(row)));
+    }
+
+    getExpiredDataExports() {
+        return this.all(
+            'SELECT * FROM data_exports WHERE expires_at IS NOT NULL AND expires_at <= ?',
+            [new Date().toISOString()]
+        ).then(rows => rows.map(row => this.mapDataExport(row)));
+    }
+
+    getUserDataExports(userId) {
+        return this.all('SELECT * FROM data_exports WHERE user_id = ?', [userId])
+            .then(rows => rows.map(row => this.mapDataExport(row)));
+    }
+
+    async markDataExportBuilding(exportId) {
+        await this.run("UPDATE data_exports SET status = 'building' WHERE id = ?", [exportId]);
+    }
+
+    async markDataExportReady(exportId, { filePath, fileSize, expiresAt }) {
+        await this.run(
+            "UPDATE data_exports SET status = 'ready', file_path = ?, file_size = ?, completed_at = ?, expires_at = ? WHERE id = ?",
+            [filePath, fileSize, new Date().toISOString(), expiresAt, exportId]
+        );
+    }
+
+    async markDataExportFailed(exportId) {
+        await this.run(
+            "UPDATE data_exports SET status = 'failed', completed_at = ? WHERE id = ?",
+            [new Date().toISOString(), exportId]
+        );
+    }
+
+    async deleteDataExport(exportId) {
+        await this.run('DELETE FROM data_exports WHERE id = ?', [exportId]);
+    }
+
+    mapDataExport(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            status: row.status,
+            filePath: row.file_path,
+            fileSize: row.file_size,
+            createdAt: row.created_at,
+            completedAt: row.completed_at,
+            expiresAt: row.expires_at,
+        };
+    }
+
+    // ==================== API TOKEN METHODS ====================
+    // Personal access tokens for scripts and bots; only hashes are stored
+
+    async createApiToken({ id, userId, name, tokenHash, scopes, expiresAt = null }) {
+        const now = new Date().toISOString();
+        await this.run(
+            'INSERT INTO api_tokens (id, user_id, name, token_hash, scopes, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [id, userId, name, tokenHash, scopes.join(' '), now, expiresAt]
+        );
+        return { id, userId, name, scopes, createdAt: now, lastUsedAt: null, expiresAt };
+    }
+
+    /**
+     * Looks up a token that is neither revoked nor expired
+     */
+    getActiveApiTokenByHash(tokenHash) {
+        return this.get(
+            `SELECT * FROM api_tokens
+             WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`,
+            [tokenHash, new Date().toISOString()]
+        ).then(row => row ? this.mapApiToken(row) : null);
+    }
+
+    getUserApiTokens(userId) {
+        return this.all(
+            'SELECT * FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC',
+            [userId]
+        ).then(rows => rows.map(row => this.mapApiToken(row)));
+    }
+
+    getApiToken(tokenId) {
+        return this.get('SELECT * FROM api_tokens WHERE id = ?', [tokenId])
+            .then(row => row ? this.mapApiToken(row) : null);
+    }
+
+    // Same one-minute write throttle as touchSession
+    async touchApiToken(tokenId) {
+        const now = new Date();
+        const threshold = new Date(now.getTime() - 60 * 1000).toISOString();
+        await this.run(
+            'UPDATE api_tokens SET last_used_at = ? WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)',
+            [now.toISOString(), tokenId, threshold]
+        );
+    }
+
+    async revokeApiToken(tokenId) {
+        await this.run(
+            'UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), tokenId]
+        );
+    }
+
+    async revokeUserApiTokens(userId) {
+        await this.run(
+            'UPDATE api_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), userId]
+        );
+    }
+
+    mapApiToken(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            name: row.name,
+            scopes: row.scopes.split(' ').filter(Boolean),
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at,
+        };
+    }
+
+    // Tombstones lose their author and text; hidden comments keep theirs only for the
+    // commenter and the post author (row.post_author_id)
+    mapComment(row, mentions = [], viewerId = null) {
+        const deleted = !!row.deleted_at;
+        const hidden = !!row.hidden_at;
+        const redacted = deleted || (hidden && viewerId !== row.user_id && viewerId !== row.post_author_id);
+
+        return {
+            id: row.id,
+            postId: row.post_id,
+            userId: deleted ? null : row.user_id,
+            username: deleted ? null : row.username,
+            parentId: row.parent_id,
+            depth: row.depth,
+            content: redacted ? '' : row.content,
+            mentions: redacted ? [] : mentions,
+            replyCount: row.reply_count,
+            likeCount: row.like_count,
+            liked: !!row.liked,
+            edited: !!row.updated_at,
+            deleted,
+            hidden,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        };
+    }
+
+    mapMention(row) {
+        return {
+            userId: row.user_id,
+            username: row.username,
+            start: row.start_index,
+            end: row.end_index,
+        };
+    }
+
+    // Unique file URLs for a list of media items: each original plus its thumbnails
+    collectMediaUrls(items) {
+        const urls = new Set();
+        for (const item of items) {
+            urls.add(item.url);
+            Object.values(item.variants || {}).forEach(variant => urls.add(variant.url));
+        }
+        return [...urls];
+    }
+
+    mapPostMedia(row) {
+        return {
+            id: row.id,
+            url: row.url,
+            mimeType: row.mime_type,
+            altText: row.alt_text || '',
+            width: row.width,
+            height: row.height,
+            blurhash: row.blurhash,
+            variants: JSON.parse(row.variants || '{}'),
+        };
+    }
+
+    mapSession(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at,
+            userAgent: row.user_agent,
+            ipAddress: row.ip_address,
+            lastSeenAt: row.last_seen_at,
+        };
+    }
 }
 
 module.exports = Database;
\ No newline at end of file
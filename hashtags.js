@@ -0,0 +1,53 @@
+// #hashtag parsing and trending-tag scoring
+
+const MAX_TAG_LENGTH = 100;
+
+// Letters, digits and underscores, with at least one non-digit (so "#1" isn't a tag).
+// The tag must start a word: "abc#def" and URL fragments like "/page#section" don't count.
+const TAG_BODY = '[\\p{L}\\p{N}_]*[\\p{L}_][\\p{L}\\p{N}_]*';
+const HASHTAG_PATTERN = new RegExp(`(^|[^\\p{L}\\p{N}_&#/])#(${TAG_BODY})`, 'gu');
+const TAG_PATTERN = new RegExp(`^${TAG_BODY}$`, 'u');
+
+// Tags are stored and looked up lower-case so #Cats and #cats are the same tag
+const normalizeHashtag = (tag) => String(tag || '').replace(/^#/, '').normalize('NFC').toLowerCase();
+
+const isValidHashtag = (tag) => {
+    const normalized = normalizeHashtag(tag);
+    return normalized.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(normalized);
+};
+
+/**
+ * Returns the unique, normalized tags in a piece of text, in order of first appearance
+ */
+function extractHashtags(text) {
+    const tags = new Set();
+    for (const match of String(text || '').matchAll(HASHTAG_PATTERN)) {
+        const tag = normalizeHashtag(match[2]);
+        if (tag.length <= MAX_TAG_LENGTH) tags.add(tag);
+    }
+    return [...tags];
+}
+
+/**
+ * Scores tags from hourly usage buckets ({ tag, hour, uses }, hour as an ISO timestamp)
+ * Each use counts 1 when it's new and half as much every `halfLifeHours` after that,
+ * so a burst of recent posts beats a tag that was busy yesterday.
+ */
+function rankTrendingTags(buckets, { halfLifeHours, now = Date.now(), limit = 10 }) {
+    const scores = new Map();
+
+    for (const { tag, hour, uses } of buckets) {
+        const ageHours = Math.max(0, (now - new Date(hour).getTime()) / 3600000);
+        const entry = scores.get(tag) || { tag, score: 0, uses: 0 };
+        entry.score += uses * Math.pow(0.5, ageHours / halfLifeHours);
+        entry.uses += uses;
+        scores.set(tag, entry);
+    }
+
+    return [...scores.values()]
+        .sort((a, b) => b.score - a.score || b.uses - a.uses)
+        .slice(0, limit)
+        .map(entry => ({ ...entry, score: Math.round(entry.score * 1000) / 1000 }));
+}
+
+module.exports = { extractHashtags, normalizeHashtag, isValidHashtag, rankTrendingTags, MAX_TAG_LENGTH };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
+
+// Post-upload image pipeline. Multer stores the file exactly as the client sent it;
+// this re-encodes it (dropping EXIF/GPS and other metadata), writes resized WebP
+// thumbnails next to it and computes a blurhash placeholder.
+
+// Longest edge in pixels for each thumbnail; sizes larger than the original are skipped
+const THUMBNAIL_SIZES = {
+    small: 160,
+    medium: 480,
+    large: 1080,
+};
+
+// Encoder settings per output format (the original keeps its format family)
+const ENCODERS = {
+    jpeg: (image) => image.jpeg({ quality: 85, mozjpeg: true }),
+    png: (image) => image.png({ compressionLevel: 9 }),
+    webp: (image) => image.webp({ quality: 85 }),
+    gif: (image) => image.gif(),
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+
+// 4x3 components is the blurhash default and plenty for a placeholder
+const computeBlurhash = async (filePath) => {
+    const { data, info } = await sharp(filePath)
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+/**
+ * Processes one uploaded file in place
+ * Resolves with { filename, mimeType, width, height, blurhash, variants } where variants maps
+ * each thumbnail name to { filename, width, height }. Rejects if the file isn't a readable image;
+ * anything written before the failure is removed, the uploaded file is left to the caller.
+ */
+async function processImage(filePath) {
+    const dir = path.dirname(filePath);
+    const base = path.basename(filePath, path.extname(filePath));
+    const written = [];
+
+    try {
+        const source = sharp(filePath, { animated: true });
+        const { format } = await source.metadata();
+        const encode = ENCODERS[format];
+        if (!encode) throw new Error(`Unsupported image format: ${format}`);
+
+        // rotate() bakes the EXIF orientation into the pixels before the metadata is dropped
+        const filename = `${base}.${EXTENSIONS[format]}`;
+        const outputPath = path.join(dir, filename);
+        const tempPath = path.join(dir, `${base}.processing`);
+        written.push(tempPath, outputPath);
+        const info = await encode(source.rotate()).toFile(tempPath);
+        await fs.promises.rename(tempPath, outputPath);
+        if (filePath !== outputPath) await fs.promises.unlink(filePath);
+
+        // For animated GIFs sharp reports the height of the whole frame strip
+        const width = info.width;
+        const height = info.pageHeight || info.height;
+
+        const variants = {};
+        for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+            if (size >= Math.max(width, height)) continue;
+            const variantFilename = `${base}-${name}.webp`;
+            written.push(path.join(dir, variantFilename));
+            const variant = await sharp(outputPath)
+                .resize(size, size, { fit: 'inside' })
+                .webp({ quality: 80 })
+                .toFile(path.join(dir, variantFilename));
+            variants[name] = { filename: variantFilename, width: variant.width, height: variant.height };
+        }
+
+        return {
+            filename,
+            mimeType: `image/${format}`,
+            width,
+            height,
+            blurhash: await computeBlurhash(outputPath),
+            variants,
+        };
+    } catch (error) {
+        await Promise.all(written.filter(file => file !== filePath).map(file => fs.promises.rm(file, { force: true })));
+        throw error;
+    }
+}
+
+module.exports = { processImage, THUMBNAIL_SIZES };
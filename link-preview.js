@@ -0,0 +1,328 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+// Link previews: the first link in a post or message is fetched in the background and its
+// OpenGraph / Twitter card tags are cached (see LINK PREVIEWS in server.js).
+// Fetching arbitrary URLs on behalf of users is an SSRF risk, so the default HTTP client
+// refuses to connect to anything but public addresses, and every fetch is capped in time and size.
+
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SITE_NAME_LENGTH = 100;
+
+// ==================== URL DETECTION ====================
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+/gi;
+
+// Trailing punctuation usually belongs to the sentence ("see https://example.com."),
+// but a closing bracket stays when the link opened one (Wikipedia-style "Foo_(bar)")
+const trimTrailingPunctuation = (text) => {
+    let url = text;
+    for (;;) {
+        const last = url[url.length - 1];
+        if (/[.,;:!?'*]/.test(last)) {
+            url = url.slice(0, -1);
+        } else if (last === ')' && url.split('(').length < url.split(')').length) {
+            url = url.slice(0, -1);
+        } else if (last === ']' && url.split('[').length < url.split(']').length) {
+            url = url.slice(0, -1);
+        } else {
+            return url;
+        }
+    }
+};
+
+/**
+ * Canonical form of a link, used as the cache key: http(s) only, no fragment, no credentials
+ * Returns null for anything that isn't a usable web link
+ */
+function normalizeUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (url.username || url.password || !url.hostname) return null;
+
+    url.hash = '';
+    return url.href.length <= MAX_URL_LENGTH ? url.href : null;
+}
+
+/**
+ * Finds the first http(s) link in text, normalized (see normalizeUrl), or null
+ */
+function extractFirstUrl(text) {
+    for (const match of String(text || '').matchAll(URL_PATTERN)) {
+        const url = normalizeUrl(trimTrailingPunctuation(match[0]));
+        if (url) return url;
+    }
+    return null;
+}
+
+// ==================== ADDRESS CHECKS ====================
+
+// Loopback, private, link-local, carrier-grade NAT, documentation, multicast and reserved ranges.
+// IPv4 rules also match IPv4-mapped IPv6 addresses (::ffff:127.0.0.1). IPv4-compatible (::/96,
+// which also covers :: and ::1) and 6to4 (2002::/16) addresses embed an IPv4 address too,
+// so both ranges are blocked whole.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Checks whether an IP address is on the public internet
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that fails if any address the name resolves to isn't public. Used as the socket's
+// lookup, so the check covers the address actually connected to and a hostname can't be
+// re-pointed at an internal service between a check and the request (DNS rebinding).
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+            return callback(new Error(`${hostname} does not resolve to a public address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// ==================== HTTP CLIENT ====================
+// An HTTP client is any object with get(url, { headers, signal }) resolving to a readable
+// response stream with statusCode and headers (an http.IncomingMessage). Pass your own
+// to LinkPreviewFetcher to fetch through a proxy or to stub the network.
+
+/**
+ * Plain http/https client that only talks to public addresses
+ * allowPrivateAddresses turns the check off, for fetching from a local server in development
+ */
+function createHttpClient({ allowPrivateAddresses = false } = {}) {
+    return {
+        get(url, { headers = {}, signal } = {}) {
+            return new Promise((resolve, reject) => {
+                const target = new URL(url);
+                // Literal IPs never go through a lookup, so they're checked here
+                const host = target.hostname.replace(/^\[|\]$/g, '');
+                if (!allowPrivateAddresses && net.isIP(host) && !isPublicAddress(host)) {
+                    reject(new Error(`${host} is not a public address`));
+                    return;
+                }
+
+                const transport = target.protocol === 'https:' ? https : http;
+                const request = transport.get(target, {
+                    headers,
+                    signal,
+                    lookup: allowPrivateAddresses ? undefined : publicOnlyLookup,
+                }, resolve);
+                request.on('error', reject);
+            });
+        },
+    };
+}
+
+// ==================== METADATA PARSING ====================
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+        const codePoint = name[1] === 'x' || name[1] === 'X'
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+const cleanText = (value, maxLength) => {
+    if (!value) return null;
+    const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+};
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+
+const parseAttributes = (tag) => {
+    const attributes = {};
+    for (const match of tag.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        if (!(name in attributes)) attributes[name] = match[2] ?? match[3] ?? match[4];
+    }
+    return attributes;
+};
+
+/**
+ * Pulls a preview out of a page's <head>: OpenGraph tags first, then Twitter card tags,
+ * then <title> and <meta name="description">
+ * pageUrl is where the page was fetched from, for resolving a relative image URL.
+ * Returns { title, description, imageUrl, siteName }; any of them may be null.
+ */
+function parseLinkPreview(html, pageUrl) {
+    const head = String(html).split(/<\/head\s*>/i)[0];
+
+    // The first tag for each key wins, as most consumers of these tags do
+    const meta = {};
+    for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content !== undefined && !(key in meta)) {
+            meta[key] = attributes.content;
+        }
+    }
+    const first = (...keys) => keys.map(key => meta[key]).find(value => value && value.trim());
+
+    const titleTag = head.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+    const image = first('og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src');
+    let imageUrl = null;
+    if (image) {
+        try {
+            imageUrl = normalizeUrl(new URL(decodeEntities(image.trim()), pageUrl).href);
+        } catch {
+            imageUrl = null;
+        }
+    }
+
+    return {
+        title: cleanText(first('og:title', 'twitter:title') || (titleTag && titleTag[1]), MAX_TITLE_LENGTH),
+        description: cleanText(first('og:description', 'twitter:description', 'description'), MAX_DESCRIPTION_LENGTH),
+        imageUrl,
+        siteName: cleanText(first('og:site_name', 'application-name'), MAX_SITE_NAME_LENGTH),
+    };
+}
+
+// ==================== FETCHER ====================
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Reads at most maxBytes of the body; metadata lives in the <head>, so a cut-off page is still useful
+const readBody = (response, maxBytes) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const finish = () => resolve(Buffer.concat(chunks, Math.min(size, maxBytes)));
+
+    response.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBytes) {
+            response.removeAllListeners('data');
+            response.destroy();
+            finish();
+        }
+    });
+    response.on('end', finish);
+    response.on('error', reject);
+});
+
+const decodeBody = (buffer, contentType) => {
+    const charset = (contentType.match(/charset\s*=\s*"?([^";\s]+)/i) || [])[1];
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+};
+
+class LinkPreviewFetcher {
+    constructor({
+        httpClient = createHttpClient(),
+        timeoutMs = 5000,
+        maxBytes = 512 * 1024,
+        maxRedirects = 3,
+        userAgent = 'Mozilla/5.0 (compatible; LinkPreviewBot/1.0)',
+    } = {}) {
+        this.httpClient = httpClient;
+        this.timeoutMs = timeoutMs;
+        this.maxBytes = maxBytes;
+        this.maxRedirects = maxRedirects;
+        this.userAgent = userAgent;
+    }
+
+    /**
+     * Fetches a page and parses its preview (see parseLinkPreview)
+     * Redirects are followed by hand so every hop goes through the client's address checks.
+     * Throws if the page can't be fetched within the time limit, isn't HTML, or has nothing to show.
+     */
+    async fetch(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const timedOut = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => {
+                reject(new Error(`Timed out fetching ${url}`));
+            });
+        });
+        // Keeps a timeout that fires after we're done from surfacing as an unhandled rejection
+        timedOut.catch(() => {});
+
+        try {
+            return await Promise.race([this.fetchPage(url, controller.signal), timedOut]);
+        } finally {
+            clearTimeout(timer);
+            controller.abort();
+        }
+    }
+
+    async fetchPage(url, signal) {
+        let current = url;
+        for (let redirects = 0; ; redirects++) {
+            const response = await this.httpClient.get(current, {
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1',
+                },
+                signal,
+            });
+
+            if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+                response.destroy();
+                if (redirects >= this.maxRedirects) throw new Error(`Too many redirects fetching ${url}`);
+                current = normalizeUrl(new URL(response.headers.location, current).href);
+                if (!current) throw new Error(`Bad redirect fetching ${url}`);
+                continue;
+            }
+            if (response.statusCode !== 200) {
+                response.destroy();
+                throw new Error(`Fetching ${url} failed: ${response.statusCode}`);
+            }
+
+            const contentType = String(response.headers['content-type'] || '');
+            if (!/^\s*(text\/html|application\/xhtml\+xml)/i.test(contentType)) {
+                response.destroy();
+                throw new Error(`${url} is not an HTML page`);
+            }
+
+            const html = decodeBody(await readBody(response, this.maxBytes), contentType);
+            const preview = parseLinkPreview(html, current);
+            if (!preview.title && !preview.description) {
+                throw new Error(`${url} has no title or description`);
+            }
+            return preview;
+        }
+    }
+}
+
+module.exports = {
+    extractFirstUrl,
+    normalizeUrl,
+    isPublicAddress,
+    createHttpClient,
+    parseLinkPreview,
+    LinkPreviewFetcher,
+};
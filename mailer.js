@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ==================== TRANSPORTS ====================
+// A transport is any object with an async send({ to, subject, text }) method.
+// Swap in a real provider (SMTP, SES, ...) by passing your own transport to Mailer.
+
+/**
+ * Writes each message to a JSON file in a local directory instead of sending it
+ * Used in development and tests so emails (and the tokens inside them) can be inspected
+ */
+class OutboxTransport {
+    constructor(dir = path.join(__dirname, 'outbox')) {
+        this.dir = dir;
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    async send(message) {
+        const filename = `${Date.now()}-${crypto.randomUUID()}.json`;
+        const record = { ...message, sentAt: new Date().toISOString() };
+        await fs.promises.writeFile(path.join(this.dir, filename), JSON.stringify(record, null, 2));
+        return { id: filename };
+    }
+}
+
+// Prints messages to stdout; handy when running the server by hand
+class ConsoleTransport {
+    async send(message) {
+        console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { id: null };
+    }
+}
+
+// Picks a transport from MAIL_TRANSPORT (outbox by default)
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+    switch (name) {
+        case 'console':
+            return new ConsoleTransport();
+        case 'outbox':
+        case undefined:
+        case '':
+            return new OutboxTransport(process.env.MAIL_OUTBOX_DIR || undefined);
+        default:
+            throw new Error(`Unknown mail transport: ${name}`);
+    }
+};
+
+// ==================== MAILER ====================
+
+class Mailer {
+    constructor(transport = createTransport()) {
+        this.transport = transport;
+        this.from = process.env.MAIL_FROM || 'no-reply@localhost';
+        this.appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    }
+
+    send({ to, subject, text }) {
+        return this.transport.send({ from: this.from, to, subject, text });
+    }
+
+    sendEmailVerification(to, { username, token }) {
+        return this.send({
+            to,
+            subject: 'Verify your email address',
+            text: [
+                `Hi ${username},`,
+                '',
+                'Confirm your email address by opening the link below:',
+                `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`,
+                '',
+                `Or paste this code into the app: ${token}`,
+                '',
+                'The link expires in 24 hours. If you did not create an account, you can ignore this email.',
+            ].join('\n'),
+        });
+    }
+
+    sendPasswordReset(to, { username, token }) {
+        return this.send({
+            to,
+            subject: 'Reset your password',
+            text: [
+                `Hi ${username},`,
+                '',
+                'Someone asked to reset the password for your account. Open the link below to choose a new one:',
+                `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`,
+                '',
+                `Or paste this code into the app: ${token}`,
+                '',
+                'The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.',
+            ].join('\n'),
+        });
+    }
+
+    sendEmailChangeVerification(to, { username, token }) {
+        return this.send({
+            to,
+            subject: 'Confirm your new email address',
+            text: [
+                `Hi ${username},`,
+                '',
+                'You asked to use this address for your account. Confirm the change by opening the link below:',
+                `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`,
+                '',
+                `Or paste this code into the app: ${token}`,
+                '',
+                'The link expires in 24 hours. Until then your old address stays on the account.',
+            ].join('\n'),
+        });
+    }
+
+    sendPasswordChangedNotice(to, { username }) {
+        return this.send({
+            to,
+            subject: 'Your password was changed',
+            text: [
+                `Hi ${username},`,
+                '',
+                'The password for your account was just changed and other devices were signed out.',
+                '',
+                'If this was not you, reset your password immediately and review your active sessions.',
+            ].join('\n'),
+        });
+    }
+
+    sendEmailChangedNotice(to, { username, newEmail }) {
+        return this.send({
+            to,
+            subject: 'Your email address was changed',
+            text: [
+                `Hi ${username},`,
+                '',
+                `The email address on your account was changed to ${newEmail} and other devices were signed out.`,
+                'This address will no longer receive account emails.',
+                '',
+                'If this was not you, contact support right away.',
+            ].join('\n'),
+        });
+    }
+
+    sendAccountDeletionScheduled(to, { username, scheduledFor }) {
+        return this.send({
+            to,
+            subject: 'Your account is scheduled for deletion',
+            text: [
+                `Hi ${username},`,
+                '',
+                `Your account and everything in it will be permanently deleted on ${new Date(scheduledFor).toUTCString()}.`,
+                'Until then you can sign in and cancel the deletion from your account settings.',
+                '',
+                'If you did not ask for this, sign in and cancel it, then change your password.',
+            ].join('\n'),
+        });
+    }
+}
+
+module.exports = { Mailer, OutboxTransport, ConsoleTransport, createTransport };
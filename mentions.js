@@ -0,0 +1,41 @@
+// @mention parsing
+// Offsets are JavaScript string indices (UTF-16 code units) into the saved content;
+// `end` is exclusive, so content.slice(start, end) is the "@name" text.
+
+// Must start a word: "me@example.com" and "/@handle" URLs aren't mentions
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@/.])@([\p{L}\p{N}_][\p{L}\p{N}_.-]*)/gu;
+
+/**
+ * Finds @name candidates in text: [{ username, start, end }]
+ * Trailing dots and hyphens are treated as punctuation ("thanks @bob.")
+ */
+function extractMentions(text) {
+    const mentions = [];
+    for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+        const username = match[2].replace(/[.-]+$/, '');
+        const start = match.index + match[1].length;
+        mentions.push({ username, start, end: start + 1 + username.length });
+    }
+    return mentions;
+}
+
+/**
+ * Resolves mention candidates against existing users
+ * `users` are { id, username } rows; an exact match wins over a case-insensitive one.
+ * Returns [{ userId, username, start, end }] for the mentions that matched someone.
+ */
+function resolveMentions(candidates, users) {
+    const exact = new Map(users.map(user => [user.username, user]));
+    const folded = new Map();
+    for (const user of users) {
+        const key = user.username.toLowerCase();
+        if (!folded.has(key)) folded.set(key, user);
+    }
+
+    return candidates.flatMap(({ username, start, end }) => {
+        const user = exact.get(username) || folded.get(username.toLowerCase());
+        return user ? [{ userId: user.id, username: user.username, start, end }] : [];
+    });
+}
+
+module.exports = { extractMentions, resolveMentions };
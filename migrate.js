@@ -2,7 +2,7 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
-const DB_PATH = path.join(__dirname, 'social_media.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'social_media.db');
 const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
 
 class Migrator {
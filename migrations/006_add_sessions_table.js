@@ -0,0 +1,36 @@
+// Migration: Add sessions table for refresh tokens and logout
+
+module.exports = {
+    async up(db) {
+        // One row per signed-in device. The refresh token itself is never stored,
+        // only its SHA-256 hash. previous_refresh_token_hash lets us detect reuse
+        // of a token that has already been rotated.
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id                          TEXT PRIMARY KEY,
+                user_id                     TEXT NOT NULL,
+                refresh_token_hash          TEXT UNIQUE NOT NULL,
+                previous_refresh_token_hash TEXT,
+                created_at                  DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at                  DATETIME NOT NULL,
+                revoked_at                  DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created sessions table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)');
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_sessions_previous_refresh_token_hash
+            ON sessions(previous_refresh_token_hash)
+        `);
+        console.log('  Created indexes on sessions');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_sessions_previous_refresh_token_hash');
+        await db.run('DROP INDEX IF EXISTS idx_sessions_user_id');
+        await db.run('DROP TABLE IF EXISTS sessions');
+        console.log('  Dropped sessions table and indexes');
+    }
+};
@@ -0,0 +1,63 @@
+// Migration: Add device details to sessions for the active sessions list
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(sessions)');
+        const columns = tableInfo.map(col => col.name);
+
+        if (!columns.includes('user_agent')) {
+            await db.run('ALTER TABLE sessions ADD COLUMN user_agent TEXT');
+            console.log('  Added user_agent column to sessions table');
+        }
+
+        if (!columns.includes('ip_address')) {
+            await db.run('ALTER TABLE sessions ADD COLUMN ip_address TEXT');
+            console.log('  Added ip_address column to sessions table');
+        }
+
+        if (!columns.includes('last_seen_at')) {
+            await db.run('ALTER TABLE sessions ADD COLUMN last_seen_at DATETIME');
+            await db.run('UPDATE sessions SET last_seen_at = created_at');
+            console.log('  Added last_seen_at column to sessions table');
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the columns
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE sessions_backup (
+                    id                          TEXT PRIMARY KEY,
+                    user_id                     TEXT NOT NULL,
+                    refresh_token_hash          TEXT UNIQUE NOT NULL,
+                    previous_refresh_token_hash TEXT,
+                    created_at                  DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    expires_at                  DATETIME NOT NULL,
+                    revoked_at                  DATETIME,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO sessions_backup (id, user_id, refresh_token_hash, previous_refresh_token_hash, created_at, expires_at, revoked_at)
+                SELECT id, user_id, refresh_token_hash, previous_refresh_token_hash, created_at, expires_at, revoked_at FROM sessions
+            `);
+
+            await db.run('DROP TABLE sessions');
+            await db.run('ALTER TABLE sessions_backup RENAME TO sessions');
+
+            // Recreate indexes
+            await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_previous_refresh_token_hash ON sessions(previous_refresh_token_hash)');
+
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
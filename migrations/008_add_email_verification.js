@@ -0,0 +1,75 @@
+// Migration: Add email verification flag and verification tokens
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(users)');
+        const columns = tableInfo.map(col => col.name);
+
+        if (!columns.includes('email_verified')) {
+            await db.run('ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 0');
+            // Accounts created before verification existed are grandfathered in
+            await db.run('UPDATE users SET email_verified = 1');
+            console.log('  Added email_verified column to users table');
+        }
+
+        // email is stored with the token so a link only verifies the address it was sent to
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                token_hash TEXT PRIMARY KEY,
+                user_id    TEXT NOT NULL,
+                email      TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                used_at    DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created email_verification_tokens table');
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id
+            ON email_verification_tokens(user_id)
+        `);
+        console.log('  Created index on email_verification_tokens.user_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_email_verification_tokens_user_id');
+        await db.run('DROP TABLE IF EXISTS email_verification_tokens');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the column
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE users_backup (
+                    id TEXT PRIMARY KEY,
+                    email TEXT UNIQUE NOT NULL,
+                    username TEXT UNIQUE NOT NULL,
+                    password TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    name TEXT DEFAULT "",
+                    bio TEXT DEFAULT "",
+                    link TEXT DEFAULT ""
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO users_backup (id, email, username, password, created_at, name, bio, link)
+                SELECT id, email, username, password, created_at, name, bio, link FROM users
+            `);
+
+            await db.run('DROP TABLE users');
+            await db.run('ALTER TABLE users_backup RENAME TO users');
+
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+
+        console.log('  Dropped email verification table and column');
+    }
+};
@@ -0,0 +1,30 @@
+// Migration: Add password reset tokens table
+
+module.exports = {
+    async up(db) {
+        // Only the SHA-256 hash of each token is stored
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                token_hash TEXT PRIMARY KEY,
+                user_id    TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                used_at    DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created password_reset_tokens table');
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id
+            ON password_reset_tokens(user_id)
+        `);
+        console.log('  Created index on password_reset_tokens.user_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_password_reset_tokens_user_id');
+        await db.run('DROP TABLE IF EXISTS password_reset_tokens');
+        console.log('  Dropped password_reset_tokens table and index');
+    }
+};
@@ -0,0 +1,81 @@
+// Migration: Add TOTP two-factor authentication
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(users)');
+        const columns = tableInfo.map(col => col.name);
+
+        // totp_secret holds the pending secret during setup; totp_enabled flips once a code is confirmed
+        if (!columns.includes('totp_secret')) {
+            await db.run('ALTER TABLE users ADD COLUMN totp_secret TEXT');
+            console.log('  Added totp_secret column to users table');
+        }
+
+        if (!columns.includes('totp_enabled')) {
+            await db.run('ALTER TABLE users ADD COLUMN totp_enabled INTEGER DEFAULT 0');
+            console.log('  Added totp_enabled column to users table');
+        }
+
+        // Last accepted time step, so the same code can't be replayed within its window
+        if (!columns.includes('totp_last_used_step')) {
+            await db.run('ALTER TABLE users ADD COLUMN totp_last_used_step INTEGER');
+            console.log('  Added totp_last_used_step column to users table');
+        }
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+                id         TEXT PRIMARY KEY,
+                user_id    TEXT NOT NULL,
+                code_hash  TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                used_at    DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created totp_recovery_codes table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user_id ON totp_recovery_codes(user_id)');
+        console.log('  Created index on totp_recovery_codes.user_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_totp_recovery_codes_user_id');
+        await db.run('DROP TABLE IF EXISTS totp_recovery_codes');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the columns
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE users_backup (
+                    id TEXT PRIMARY KEY,
+                    email TEXT UNIQUE NOT NULL,
+                    username TEXT UNIQUE NOT NULL,
+                    password TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    name TEXT DEFAULT "",
+                    bio TEXT DEFAULT "",
+                    link TEXT DEFAULT "",
+                    email_verified INTEGER DEFAULT 0
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO users_backup (id, email, username, password, created_at, name, bio, link, email_verified)
+                SELECT id, email, username, password, created_at, name, bio, link, email_verified FROM users
+            `);
+
+            await db.run('DROP TABLE users');
+            await db.run('ALTER TABLE users_backup RENAME TO users');
+
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+
+        console.log('  Dropped two-factor table and columns');
+    }
+};
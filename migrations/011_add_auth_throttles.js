@@ -0,0 +1,21 @@
+// Migration: Add auth_throttles table for login/signup brute-force protection
+
+module.exports = {
+    async up(db) {
+        // key looks like "login:email:alice@example.com" or "signup:ip:203.0.113.7"
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS auth_throttles (
+                key             TEXT PRIMARY KEY,
+                failures        INTEGER NOT NULL DEFAULT 0,
+                last_failure_at DATETIME,
+                locked_until    DATETIME
+            )
+        `);
+        console.log('  Created auth_throttles table');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS auth_throttles');
+        console.log('  Dropped auth_throttles table');
+    }
+};
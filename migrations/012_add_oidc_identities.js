@@ -0,0 +1,42 @@
+// Migration: Add external identity links and pending OIDC logins
+
+module.exports = {
+    async up(db) {
+        // One row per (provider, subject) linked to a local user
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_identities (
+                provider   TEXT NOT NULL,
+                subject    TEXT NOT NULL,
+                user_id    TEXT NOT NULL,
+                email      TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (provider, subject),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created user_identities table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id)');
+        console.log('  Created index on user_identities.user_id');
+
+        // state -> PKCE verifier and nonce, kept between /start and /callback
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS oidc_login_states (
+                state         TEXT PRIMARY KEY,
+                provider      TEXT NOT NULL,
+                code_verifier TEXT NOT NULL,
+                nonce         TEXT NOT NULL,
+                created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at    DATETIME NOT NULL
+            )
+        `);
+        console.log('  Created oidc_login_states table');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS oidc_login_states');
+        await db.run('DROP INDEX IF EXISTS idx_user_identities_user_id');
+        await db.run('DROP TABLE IF EXISTS user_identities');
+        console.log('  Dropped OIDC tables');
+    }
+};
@@ -0,0 +1,49 @@
+// Migration: Remember which session asked for an email change
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(email_verification_tokens)');
+        const columns = tableInfo.map(col => col.name);
+
+        // When an email change is confirmed, every session except this one is signed out
+        if (!columns.includes('requested_by_session_id')) {
+            await db.run('ALTER TABLE email_verification_tokens ADD COLUMN requested_by_session_id TEXT');
+            console.log('  Added requested_by_session_id column to email_verification_tokens table');
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the column
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE email_verification_tokens_backup (
+                    token_hash TEXT PRIMARY KEY,
+                    user_id    TEXT NOT NULL,
+                    email      TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    expires_at DATETIME NOT NULL,
+                    used_at    DATETIME,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO email_verification_tokens_backup (token_hash, user_id, email, created_at, expires_at, used_at)
+                SELECT token_hash, user_id, email, created_at, expires_at, used_at FROM email_verification_tokens
+            `);
+
+            await db.run('DROP TABLE email_verification_tokens');
+            await db.run('ALTER TABLE email_verification_tokens_backup RENAME TO email_verification_tokens');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id)');
+
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,120 @@
+// Migration: Add ON DELETE CASCADE to the user foreign keys on posts, likes, comments and follows
+// SQLite can't alter a foreign key, so each table is rebuilt with the same columns and data
+
+const TABLES = {
+    posts: {
+        columns: 'id, user_id, content, created_at, updated_at, image_url',
+        cascade: `
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            content TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            image_url TEXT,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+        original: `
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            content TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            image_url TEXT,
+            FOREIGN KEY (user_id) REFERENCES users(id)`,
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at)',
+        ],
+    },
+    likes: {
+        columns: 'post_id, user_id, created_at',
+        cascade: `
+            post_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (post_id, user_id),
+            FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+        original: `
+            post_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (post_id, user_id),
+            FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id)`,
+        indexes: ['CREATE INDEX IF NOT EXISTS idx_likes_post_id ON likes(post_id)'],
+    },
+    comments: {
+        columns: 'id, post_id, user_id, content, created_at',
+        cascade: `
+            id TEXT PRIMARY KEY,
+            post_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            content TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+        original: `
+            id TEXT PRIMARY KEY,
+            post_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            content TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id)`,
+        indexes: ['CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id)'],
+    },
+    follows: {
+        columns: 'follower_id, following_id, created_at',
+        cascade: `
+            follower_id TEXT NOT NULL,
+            following_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (follower_id, following_id),
+            FOREIGN KEY (follower_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (following_id) REFERENCES users(id) ON DELETE CASCADE`,
+        original: `
+            follower_id TEXT NOT NULL,
+            following_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (follower_id, following_id),
+            FOREIGN KEY (follower_id) REFERENCES users(id),
+            FOREIGN KEY (following_id) REFERENCES users(id)`,
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS idx_follows_follower ON follows(follower_id)',
+            'CREATE INDEX IF NOT EXISTS idx_follows_following ON follows(following_id)',
+        ],
+    },
+};
+
+// Recreates every table with the given definition ('cascade' or 'original') inside one transaction
+async function rebuildTables(db, definition) {
+    await db.run('BEGIN TRANSACTION');
+
+    try {
+        for (const [name, table] of Object.entries(TABLES)) {
+            await db.run(`CREATE TABLE ${name}_backup (${table[definition]})`);
+            await db.run(`INSERT INTO ${name}_backup (${table.columns}) SELECT ${table.columns} FROM ${name}`);
+            await db.run(`DROP TABLE ${name}`);
+            await db.run(`ALTER TABLE ${name}_backup RENAME TO ${name}`);
+            for (const index of table.indexes) {
+                await db.run(index);
+            }
+            console.log(`  Rebuilt ${name} table`);
+        }
+
+        await db.run('COMMIT');
+    } catch (error) {
+        await db.run('ROLLBACK');
+        throw error;
+    }
+}
+
+module.exports = {
+    async up(db) {
+        await rebuildTables(db, 'cascade');
+    },
+
+    async down(db) {
+        await rebuildTables(db, 'original');
+    }
+};
@@ -0,0 +1,63 @@
+// Migration: Add scheduled account deletion fields to users
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(users)');
+        const columns = tableInfo.map(col => col.name);
+
+        // Set when the user asks to delete their account; cleared if they cancel
+        if (!columns.includes('deletion_scheduled_for')) {
+            await db.run('ALTER TABLE users ADD COLUMN deletion_scheduled_for DATETIME');
+            console.log('  Added deletion_scheduled_for column to users table');
+        }
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for
+            ON users(deletion_scheduled_for)
+        `);
+        console.log('  Created index on users.deletion_scheduled_for');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_users_deletion_scheduled_for');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the column
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE users_backup (
+                    id TEXT PRIMARY KEY,
+                    email TEXT UNIQUE NOT NULL,
+                    username TEXT UNIQUE NOT NULL,
+                    password TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    name TEXT DEFAULT "",
+                    bio TEXT DEFAULT "",
+                    link TEXT DEFAULT "",
+                    email_verified INTEGER DEFAULT 0,
+                    totp_secret TEXT,
+                    totp_enabled INTEGER DEFAULT 0,
+                    totp_last_used_step INTEGER
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO users_backup (id, email, username, password, created_at, name, bio, link,
+                    email_verified, totp_secret, totp_enabled, totp_last_used_step)
+                SELECT id, email, username, password, created_at, name, bio, link,
+                    email_verified, totp_secret, totp_enabled, totp_last_used_step FROM users
+            `);
+
+            await db.run('DROP TABLE users');
+            await db.run('ALTER TABLE users_backup RENAME TO users');
+
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
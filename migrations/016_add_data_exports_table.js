@@ -0,0 +1,29 @@
+// Migration: Add data_exports table for "download my data" archives
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS data_exports (
+                id           TEXT PRIMARY KEY,
+                user_id      TEXT NOT NULL,
+                status       TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'building', 'ready', 'failed')),
+                file_path    TEXT,
+                file_size    INTEGER,
+                created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME,
+                expires_at   DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created data_exports table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON data_exports(user_id)');
+        console.log('  Created index on data_exports.user_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_data_exports_user_id');
+        await db.run('DROP TABLE IF EXISTS data_exports');
+        console.log('  Dropped data_exports table and index');
+    }
+};
@@ -0,0 +1,31 @@
+// Migration: Add api_tokens table for scoped personal access tokens
+
+module.exports = {
+    async up(db) {
+        // scopes is a space-separated list, e.g. "posts:read posts:write"
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                id           TEXT PRIMARY KEY,
+                user_id      TEXT NOT NULL,
+                name         TEXT NOT NULL,
+                token_hash   TEXT UNIQUE NOT NULL,
+                scopes       TEXT NOT NULL,
+                created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME,
+                expires_at   DATETIME,
+                revoked_at   DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created api_tokens table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)');
+        console.log('  Created index on api_tokens.user_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_api_tokens_user_id');
+        await db.run('DROP TABLE IF EXISTS api_tokens');
+        console.log('  Dropped api_tokens table and index');
+    }
+};
@@ -0,0 +1,56 @@
+// Migration: Add role column to users (user, moderator, admin)
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(users)');
+        const columns = tableInfo.map(col => col.name);
+
+        if (!columns.includes('role')) {
+            await db.run(`ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'user' CHECK(role IN ('user', 'moderator', 'admin'))`);
+            console.log('  Added role column to users table');
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the column
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE users_backup (
+                    id TEXT PRIMARY KEY,
+                    email TEXT UNIQUE NOT NULL,
+                    username TEXT UNIQUE NOT NULL,
+                    password TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    name TEXT DEFAULT "",
+                    bio TEXT DEFAULT "",
+                    link TEXT DEFAULT "",
+                    email_verified INTEGER DEFAULT 0,
+                    totp_secret TEXT,
+                    totp_enabled INTEGER DEFAULT 0,
+                    totp_last_used_step INTEGER,
+                    deletion_scheduled_for DATETIME
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO users_backup (id, email, username, password, created_at, name, bio, link,
+                    email_verified, totp_secret, totp_enabled, totp_last_used_step, deletion_scheduled_for)
+                SELECT id, email, username, password, created_at, name, bio, link,
+                    email_verified, totp_secret, totp_enabled, totp_last_used_step, deletion_scheduled_for FROM users
+            `);
+
+            await db.run('DROP TABLE users');
+            await db.run('ALTER TABLE users_backup RENAME TO users');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for)');
+
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,30 @@
+// Migration: Add post_revisions table for post edit history
+
+module.exports = {
+    async up(db) {
+        // Each row is the post as it looked *before* an edit
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS post_revisions (
+                id         TEXT PRIMARY KEY,
+                post_id    TEXT NOT NULL,
+                content    TEXT NOT NULL,
+                image_url  TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created post_revisions table');
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id
+            ON post_revisions(post_id, created_at)
+        `);
+        console.log('  Created index on post_revisions.post_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_post_revisions_post_id');
+        await db.run('DROP TABLE IF EXISTS post_revisions');
+        console.log('  Dropped post_revisions table and index');
+    }
+};
@@ -0,0 +1,137 @@
+// Migration: Add post_media table for multi-image posts
+// Moves each post's image_url into post_media, and turns revision image_url values
+// into a JSON media snapshot. The old image_url columns are left in place but emptied.
+
+const crypto = require('crypto');
+const path = require('path');
+const { imageSizeFromFile } = require('image-size/fromFile');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+};
+
+// Best effort: older uploads may be missing from disk
+const describeLegacyImage = async (url) => {
+    const media = {
+        url,
+        mimeType: MIME_TYPES[path.extname(url).toLowerCase()] || null,
+        altText: '',
+        width: null,
+        height: null,
+    };
+    try {
+        const { width, height } = await imageSizeFromFile(path.join(UPLOADS_DIR, path.basename(url)));
+        media.width = width;
+        media.height = height;
+    } catch (error) {
+        // Leave the dimensions unknown
+    }
+    return media;
+};
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS post_media (
+                id         TEXT PRIMARY KEY,
+                post_id    TEXT NOT NULL,
+                position   INTEGER NOT NULL,
+                url        TEXT NOT NULL,
+                mime_type  TEXT,
+                alt_text   TEXT DEFAULT '',
+                width      INTEGER,
+                height     INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (post_id, position),
+                FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created post_media table');
+
+        const revisionColumns = (await db.all('PRAGMA table_info(post_revisions)')).map(col => col.name);
+        if (!revisionColumns.includes('media')) {
+            await db.run("ALTER TABLE post_revisions ADD COLUMN media TEXT DEFAULT '[]'");
+            console.log('  Added media column to post_revisions table');
+        }
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            const posts = await db.all('SELECT id, image_url, created_at FROM posts WHERE image_url IS NOT NULL');
+            for (const post of posts) {
+                const media = await describeLegacyImage(post.image_url);
+                await db.run(
+                    `INSERT INTO post_media (id, post_id, position, url, mime_type, alt_text, width, height, created_at)
+                     VALUES (?, ?, 0, ?, ?, '', ?, ?, ?)`,
+                    [crypto.randomUUID(), post.id, media.url, media.mimeType, media.width, media.height, post.created_at]
+                );
+            }
+            await db.run('UPDATE posts SET image_url = NULL');
+            console.log(`  Moved ${posts.length} post image(s) into post_media`);
+
+            const revisions = await db.all('SELECT id, image_url FROM post_revisions WHERE image_url IS NOT NULL');
+            for (const revision of revisions) {
+                const media = await describeLegacyImage(revision.image_url);
+                await db.run('UPDATE post_revisions SET media = ?, image_url = NULL WHERE id = ?', [
+                    JSON.stringify([media]),
+                    revision.id,
+                ]);
+            }
+            console.log(`  Converted ${revisions.length} revision image(s) to media snapshots`);
+
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    },
+
+    async down(db) {
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            // Only the first image of a gallery fits back into image_url
+            await db.run(`
+                UPDATE posts SET image_url = (
+                    SELECT url FROM post_media WHERE post_id = posts.id ORDER BY position LIMIT 1
+                )
+            `);
+            await db.run('DROP TABLE IF EXISTS post_media');
+
+            // SQLite doesn't support DROP COLUMN directly
+            // We need to recreate post_revisions without the media column
+            await db.run(`
+                CREATE TABLE post_revisions_backup (
+                    id         TEXT PRIMARY KEY,
+                    post_id    TEXT NOT NULL,
+                    content    TEXT NOT NULL,
+                    image_url  TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+                )
+            `);
+            await db.run(`
+                INSERT INTO post_revisions_backup (id, post_id, content, image_url, created_at)
+                SELECT id, post_id, content, json_extract(media, '$[0].url'), created_at FROM post_revisions
+            `);
+            await db.run('DROP TABLE post_revisions');
+            await db.run('ALTER TABLE post_revisions_backup RENAME TO post_revisions');
+            await db.run(`
+                CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id
+                ON post_revisions(post_id, created_at)
+            `);
+
+            await db.run('COMMIT');
+            console.log('  Dropped post_media table and moved first images back to image_url');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
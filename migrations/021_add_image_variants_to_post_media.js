@@ -0,0 +1,59 @@
+// Migration: Add blurhash and thumbnail variants to post_media
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(post_media)');
+        const columns = tableInfo.map(col => col.name);
+
+        // Compact placeholder clients can paint while the image loads
+        if (!columns.includes('blurhash')) {
+            await db.run('ALTER TABLE post_media ADD COLUMN blurhash TEXT');
+            console.log('  Added blurhash column to post_media table');
+        }
+
+        // JSON object: thumbnail name -> { url, width, height }
+        if (!columns.includes('variants')) {
+            await db.run("ALTER TABLE post_media ADD COLUMN variants TEXT DEFAULT '{}'");
+            console.log('  Added variants column to post_media table');
+        }
+    },
+
+    async down(db) {
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the columns
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE post_media_backup (
+                    id         TEXT PRIMARY KEY,
+                    post_id    TEXT NOT NULL,
+                    position   INTEGER NOT NULL,
+                    url        TEXT NOT NULL,
+                    mime_type  TEXT,
+                    alt_text   TEXT DEFAULT '',
+                    width      INTEGER,
+                    height     INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (post_id, position),
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO post_media_backup (id, post_id, position, url, mime_type, alt_text, width, height, created_at)
+                SELECT id, post_id, position, url, mime_type, alt_text, width, height, created_at FROM post_media
+            `);
+
+            await db.run('DROP TABLE post_media');
+            await db.run('ALTER TABLE post_media_backup RENAME TO post_media');
+
+            await db.run('COMMIT');
+            console.log('  Removed blurhash and variants columns from post_media table');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
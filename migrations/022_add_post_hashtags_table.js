@@ -0,0 +1,57 @@
+// Migration: Add post_hashtags table and backfill it from existing posts
+
+const { extractHashtags } = require('../hashtags');
+
+module.exports = {
+    async up(db) {
+        // created_at is when the tag was used (post time, or edit time for tags added later)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS post_hashtags (
+                post_id    TEXT NOT NULL,
+                tag        TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (post_id, tag),
+                FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created post_hashtags table');
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_post_hashtags_tag_created_at
+            ON post_hashtags(tag, created_at)
+        `);
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_post_hashtags_created_at
+            ON post_hashtags(created_at)
+        `);
+        console.log('  Created indexes on post_hashtags');
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            const posts = await db.all('SELECT id, content, created_at FROM posts');
+            let tagCount = 0;
+            for (const post of posts) {
+                for (const tag of extractHashtags(post.content)) {
+                    await db.run(
+                        'INSERT OR IGNORE INTO post_hashtags (post_id, tag, created_at) VALUES (?, ?, ?)',
+                        [post.id, tag, post.created_at]
+                    );
+                    tagCount++;
+                }
+            }
+            await db.run('COMMIT');
+            console.log(`  Backfilled ${tagCount} hashtag(s) from ${posts.length} existing post(s)`);
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_post_hashtags_created_at');
+        await db.run('DROP INDEX IF EXISTS idx_post_hashtags_tag_created_at');
+        await db.run('DROP TABLE IF EXISTS post_hashtags');
+        console.log('  Dropped post_hashtags table and indexes');
+    }
+};
@@ -0,0 +1,36 @@
+// Migration: Add mentions table for @mentions in posts and comments
+// Mentions point at the user's id, so they keep working after a username change
+
+module.exports = {
+    async up(db) {
+        // comment_id is NULL for mentions in the post itself
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS mentions (
+                id          TEXT PRIMARY KEY,
+                post_id     TEXT NOT NULL,
+                comment_id  TEXT,
+                user_id     TEXT NOT NULL,
+                start_index INTEGER NOT NULL,
+                end_index   INTEGER NOT NULL,
+                created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+                FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created mentions table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_mentions_post_id ON mentions(post_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_mentions_comment_id ON mentions(comment_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_mentions_user_id ON mentions(user_id)');
+        console.log('  Created indexes on mentions');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_mentions_user_id');
+        await db.run('DROP INDEX IF EXISTS idx_mentions_comment_id');
+        await db.run('DROP INDEX IF EXISTS idx_mentions_post_id');
+        await db.run('DROP TABLE IF EXISTS mentions');
+        console.log('  Dropped mentions table and indexes');
+    }
+};
@@ -0,0 +1,75 @@
+// Migration: Add reposts table and quoted_post_id column to posts
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS reposts (
+                post_id    TEXT NOT NULL,
+                user_id    TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (post_id, user_id),
+                FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created reposts table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_reposts_user_id ON reposts(user_id, created_at)');
+        console.log('  Created index on reposts.user_id');
+
+        const tableInfo = await db.all('PRAGMA table_info(posts)');
+        const columns = tableInfo.map(col => col.name);
+
+        // No foreign key on purpose: when the quoted post is deleted the quote keeps the ID
+        // so clients can show "this post is unavailable" instead of silently dropping it
+        if (!columns.includes('quoted_post_id')) {
+            await db.run('ALTER TABLE posts ADD COLUMN quoted_post_id TEXT');
+            console.log('  Added quoted_post_id column to posts table');
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_posts_quoted_post_id ON posts(quoted_post_id)');
+        console.log('  Created index on posts.quoted_post_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_posts_quoted_post_id');
+        await db.run('DROP INDEX IF EXISTS idx_reposts_user_id');
+        await db.run('DROP TABLE IF EXISTS reposts');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the column
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE posts_backup (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    image_url TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO posts_backup (id, user_id, content, created_at, updated_at, image_url)
+                SELECT id, user_id, content, created_at, updated_at, image_url FROM posts
+            `);
+
+            await db.run('DROP TABLE posts');
+            await db.run('ALTER TABLE posts_backup RENAME TO posts');
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at)');
+
+            await db.run('COMMIT');
+            console.log('  Dropped reposts table and quoted_post_id column');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
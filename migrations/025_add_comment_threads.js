@@ -0,0 +1,67 @@
+// Migration: Add parent_id and depth to comments for threaded replies
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(comments)');
+        const columns = tableInfo.map(col => col.name);
+
+        // NULL for top-level comments; deleting a comment deletes its replies
+        if (!columns.includes('parent_id')) {
+            await db.run('ALTER TABLE comments ADD COLUMN parent_id TEXT REFERENCES comments(id) ON DELETE CASCADE');
+            console.log('  Added parent_id column to comments table');
+        }
+
+        // 0 for top-level comments, parent depth + 1 for replies
+        if (!columns.includes('depth')) {
+            await db.run('ALTER TABLE comments ADD COLUMN depth INTEGER NOT NULL DEFAULT 0');
+            console.log('  Added depth column to comments table');
+        }
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_comments_post_parent_created_at
+            ON comments(post_id, parent_id, created_at)
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id)');
+        console.log('  Created indexes for comment threads');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_comments_parent_id');
+        await db.run('DROP INDEX IF EXISTS idx_comments_post_parent_created_at');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the columns
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE comments_backup (
+                    id TEXT PRIMARY KEY,
+                    post_id TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO comments_backup (id, post_id, user_id, content, created_at)
+                SELECT id, post_id, user_id, content, created_at FROM comments
+            `);
+
+            await db.run('DROP TABLE comments');
+            await db.run('ALTER TABLE comments_backup RENAME TO comments');
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id)');
+
+            await db.run('COMMIT');
+            console.log('  Removed parent_id and depth columns from comments table');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
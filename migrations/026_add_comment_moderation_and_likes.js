@@ -0,0 +1,88 @@
+// Migration: Add comment editing/deletion/hiding columns and the comment_likes table
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(comments)');
+        const columns = tableInfo.map(col => col.name);
+
+        // Set when the author edits the comment
+        if (!columns.includes('updated_at')) {
+            await db.run('ALTER TABLE comments ADD COLUMN updated_at DATETIME');
+            console.log('  Added updated_at column to comments table');
+        }
+
+        // Tombstone: the row stays (with its content cleared) so replies keep their parent
+        if (!columns.includes('deleted_at')) {
+            await db.run('ALTER TABLE comments ADD COLUMN deleted_at DATETIME');
+            console.log('  Added deleted_at column to comments table');
+        }
+
+        // Hidden by the post's author: only the commenter and the post author see the content
+        if (!columns.includes('hidden_at')) {
+            await db.run('ALTER TABLE comments ADD COLUMN hidden_at DATETIME');
+            console.log('  Added hidden_at column to comments table');
+        }
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS comment_likes (
+                comment_id TEXT NOT NULL,
+                user_id    TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (comment_id, user_id),
+                FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created comment_likes table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_comment_likes_user_id ON comment_likes(user_id)');
+        console.log('  Created index on comment_likes.user_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_comment_likes_user_id');
+        await db.run('DROP TABLE IF EXISTS comment_likes');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the columns
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE comments_backup (
+                    id TEXT PRIMARY KEY,
+                    post_id TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    parent_id TEXT REFERENCES comments(id) ON DELETE CASCADE,
+                    depth INTEGER NOT NULL DEFAULT 0,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO comments_backup (id, post_id, user_id, content, created_at, parent_id, depth)
+                SELECT id, post_id, user_id, content, created_at, parent_id, depth FROM comments
+            `);
+
+            await db.run('DROP TABLE comments');
+            await db.run('ALTER TABLE comments_backup RENAME TO comments');
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id)');
+            await db.run(`
+                CREATE INDEX IF NOT EXISTS idx_comments_post_parent_created_at
+                ON comments(post_id, parent_id, created_at)
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id)');
+
+            await db.run('COMMIT');
+            console.log('  Dropped comment_likes table and comment moderation columns');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,70 @@
+// Migration: Add status and publish_at columns to posts for drafts and scheduled posts
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(posts)');
+        const columns = tableInfo.map(col => col.name);
+
+        // Every existing post is already live
+        if (!columns.includes('status')) {
+            await db.run("ALTER TABLE posts ADD COLUMN status TEXT NOT NULL DEFAULT 'published'");
+            console.log('  Added status column to posts table');
+        }
+
+        // When a scheduled post goes live (NULL for drafts and published posts)
+        if (!columns.includes('publish_at')) {
+            await db.run('ALTER TABLE posts ADD COLUMN publish_at DATETIME');
+            console.log('  Added publish_at column to posts table');
+        }
+
+        // The scheduler looks up due posts by status and publish time
+        await db.run('CREATE INDEX IF NOT EXISTS idx_posts_status_publish_at ON posts(status, publish_at)');
+        console.log('  Created index on posts.status, posts.publish_at');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_posts_status_publish_at');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the columns
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            // Drafts and scheduled posts were never published; don't let them go live on rollback
+            await db.run("DELETE FROM post_media WHERE post_id IN (SELECT id FROM posts WHERE status != 'published')");
+            await db.run("DELETE FROM posts WHERE status != 'published'");
+
+            await db.run(`
+                CREATE TABLE posts_backup (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    image_url TEXT,
+                    quoted_post_id TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO posts_backup (id, user_id, content, created_at, updated_at, image_url, quoted_post_id)
+                SELECT id, user_id, content, created_at, updated_at, image_url, quoted_post_id FROM posts
+            `);
+
+            await db.run('DROP TABLE posts');
+            await db.run('ALTER TABLE posts_backup RENAME TO posts');
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_quoted_post_id ON posts(quoted_post_id)');
+
+            await db.run('COMMIT');
+            console.log('  Dropped status and publish_at columns from posts');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,59 @@
+// Migration: Add visibility column to posts (public, followers or mentioned)
+
+module.exports = {
+    async up(db) {
+        const tableInfo = await db.all('PRAGMA table_info(posts)');
+        const columns = tableInfo.map(col => col.name);
+
+        // Existing posts were visible to everyone
+        if (!columns.includes('visibility')) {
+            await db.run("ALTER TABLE posts ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public'");
+            console.log('  Added visibility column to posts table');
+        }
+    },
+
+    async down(db) {
+        // Note: after rolling back, every post is visible to everyone again
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the table without the column
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE posts_backup (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    image_url TEXT,
+                    quoted_post_id TEXT,
+                    status TEXT NOT NULL DEFAULT 'published',
+                    publish_at DATETIME,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO posts_backup (id, user_id, content, created_at, updated_at, image_url, quoted_post_id, status, publish_at)
+                SELECT id, user_id, content, created_at, updated_at, image_url, quoted_post_id, status, publish_at FROM posts
+            `);
+
+            await db.run('DROP TABLE posts');
+            await db.run('ALTER TABLE posts_backup RENAME TO posts');
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_quoted_post_id ON posts(quoted_post_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_status_publish_at ON posts(status, publish_at)');
+
+            await db.run('COMMIT');
+            console.log('  Dropped visibility column from posts');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
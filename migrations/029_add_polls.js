@@ -0,0 +1,62 @@
+// Migration: Add polls, poll_options and poll_votes tables for polls attached to posts
+
+module.exports = {
+    async up(db) {
+        // One poll per post; results_sent_at is set once the final results have been pushed to voters
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS polls (
+                post_id         TEXT PRIMARY KEY,
+                multiple_choice INTEGER NOT NULL DEFAULT 0,
+                closes_at       DATETIME NOT NULL,
+                results_sent_at DATETIME,
+                created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created polls table');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS poll_options (
+                id       TEXT PRIMARY KEY,
+                post_id  TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                text     TEXT NOT NULL,
+                FOREIGN KEY (post_id) REFERENCES polls(post_id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created poll_options table');
+
+        // A multiple-choice vote is one row per chosen option
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS poll_votes (
+                post_id    TEXT NOT NULL,
+                option_id  TEXT NOT NULL,
+                user_id    TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (option_id, user_id),
+                FOREIGN KEY (post_id) REFERENCES polls(post_id) ON DELETE CASCADE,
+                FOREIGN KEY (option_id) REFERENCES poll_options(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created poll_votes table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_poll_options_post_id ON poll_options(post_id, position)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_poll_votes_post_user ON poll_votes(post_id, user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_poll_votes_user_id ON poll_votes(user_id)');
+        // The close job looks for polls that have closed but haven't had their results sent
+        await db.run('CREATE INDEX IF NOT EXISTS idx_polls_closes_at ON polls(results_sent_at, closes_at)');
+        console.log('  Created indexes on polls');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_polls_closes_at');
+        await db.run('DROP INDEX IF EXISTS idx_poll_votes_user_id');
+        await db.run('DROP INDEX IF EXISTS idx_poll_votes_post_user');
+        await db.run('DROP INDEX IF EXISTS idx_poll_options_post_id');
+        await db.run('DROP TABLE IF EXISTS poll_votes');
+        await db.run('DROP TABLE IF EXISTS poll_options');
+        await db.run('DROP TABLE IF EXISTS polls');
+        console.log('  Dropped polls, poll_options and poll_votes tables');
+    }
+};
@@ -0,0 +1,110 @@
+// Migration: Add link_previews table and link_url columns on posts and messages
+
+module.exports = {
+    async up(db) {
+        // One row per link (normalized URL), shared by every post and message that contains it.
+        // status: pending (queued or being fetched), ready, or failed (retried after a while)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS link_previews (
+                url         TEXT PRIMARY KEY,
+                status      TEXT NOT NULL DEFAULT 'pending',
+                title       TEXT,
+                description TEXT,
+                image_url   TEXT,
+                site_name   TEXT,
+                fetched_at  DATETIME,
+                created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('  Created link_previews table');
+
+        // Fetches interrupted by a restart are picked up again by status
+        await db.run('CREATE INDEX IF NOT EXISTS idx_link_previews_status ON link_previews(status)');
+        console.log('  Created index on link_previews.status');
+
+        // The first link in the content, if any. Existing posts and messages are left without one
+        // rather than fetching a backlog of old links on deploy.
+        const postColumns = (await db.all('PRAGMA table_info(posts)')).map(col => col.name);
+        if (!postColumns.includes('link_url')) {
+            await db.run('ALTER TABLE posts ADD COLUMN link_url TEXT');
+            console.log('  Added link_url column to posts table');
+        }
+
+        const messageColumns = (await db.all('PRAGMA table_info(messages)')).map(col => col.name);
+        if (!messageColumns.includes('link_url')) {
+            await db.run('ALTER TABLE messages ADD COLUMN link_url TEXT');
+            console.log('  Added link_url column to messages table');
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_link_previews_status');
+        await db.run('DROP TABLE IF EXISTS link_previews');
+        console.log('  Dropped link_previews table');
+
+        // SQLite doesn't support DROP COLUMN directly
+        // We need to recreate the tables without the column
+
+        await db.run('BEGIN TRANSACTION');
+
+        try {
+            await db.run(`
+                CREATE TABLE posts_backup (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    image_url TEXT,
+                    quoted_post_id TEXT,
+                    status TEXT NOT NULL DEFAULT 'published',
+                    publish_at DATETIME,
+                    visibility TEXT NOT NULL DEFAULT 'public',
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO posts_backup (id, user_id, content, created_at, updated_at, image_url, quoted_post_id, status, publish_at, visibility)
+                SELECT id, user_id, content, created_at, updated_at, image_url, quoted_post_id, status, publish_at, visibility FROM posts
+            `);
+
+            await db.run('DROP TABLE posts');
+            await db.run('ALTER TABLE posts_backup RENAME TO posts');
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_quoted_post_id ON posts(quoted_post_id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_posts_status_publish_at ON posts(status, publish_at)');
+
+            await db.run(`
+                CREATE TABLE messages_backup (
+                    id              TEXT PRIMARY KEY,
+                    conversation_id TEXT NOT NULL,
+                    sender_id       TEXT NOT NULL,
+                    content         TEXT NOT NULL,
+                    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+                    FOREIGN KEY (sender_id)       REFERENCES users(id)         ON DELETE CASCADE
+                )
+            `);
+
+            await db.run(`
+                INSERT INTO messages_backup (id, conversation_id, sender_id, content, created_at)
+                SELECT id, conversation_id, sender_id, content, created_at FROM messages
+            `);
+
+            await db.run('DROP TABLE messages');
+            await db.run('ALTER TABLE messages_backup RENAME TO messages');
+
+            await db.run(`CREATE INDEX IF NOT EXISTS idx_messages_conversation_created
+                  ON messages(conversation_id, created_at DESC)`);
+
+            await db.run('COMMIT');
+            console.log('  Dropped link_url columns from posts and messages');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+    }
+};
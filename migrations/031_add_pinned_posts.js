@@ -0,0 +1,28 @@
+// Migration: Add pinned_posts table for posts pinned to the top of their author's profile
+
+module.exports = {
+    async up(db) {
+        // Users can only pin their own posts; position orders a user's pins (0 comes first)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS pinned_posts (
+                user_id    TEXT NOT NULL,
+                post_id    TEXT NOT NULL,
+                position   INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, post_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+            )
+        `);
+        console.log('  Created pinned_posts table');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_pinned_posts_post_id ON pinned_posts(post_id)');
+        console.log('  Created index on pinned_posts.post_id');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_pinned_posts_post_id');
+        await db.run('DROP TABLE IF EXISTS pinned_posts');
+        console.log('  Dropped pinned_posts table');
+    }
+};
@@ -0,0 +1,86 @@
+// Migration: Stop hard deletes from taking comment threads with them
+// parent_id loses ON DELETE CASCADE, so deleting a comment can no longer silently wipe other
+// people's replies, and user_id becomes nullable so a purged user's comments that have replies
+// can stay behind as authorless tombstones.
+// SQLite can't alter a column or foreign key, so the table is rebuilt with the same data
+
+const COLUMNS = 'id, post_id, user_id, content, created_at, parent_id, depth, updated_at, deleted_at, hidden_at';
+
+const DEFINITIONS = {
+    kept: `
+        id TEXT PRIMARY KEY,
+        post_id TEXT NOT NULL,
+        user_id TEXT,
+        content TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        parent_id TEXT REFERENCES comments(id),
+        depth INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME,
+        deleted_at DATETIME,
+        hidden_at DATETIME,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+    cascade: `
+        id TEXT PRIMARY KEY,
+        post_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        parent_id TEXT REFERENCES comments(id) ON DELETE CASCADE,
+        depth INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME,
+        deleted_at DATETIME,
+        hidden_at DATETIME,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`,
+};
+
+const INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id)',
+    'CREATE INDEX IF NOT EXISTS idx_comments_post_parent_created_at ON comments(post_id, parent_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id)',
+];
+
+// Recreates the comments table with the given definition inside one transaction
+async function rebuildComments(db, definition) {
+    await db.run('BEGIN TRANSACTION');
+
+    try {
+        await db.run(`CREATE TABLE comments_backup (${DEFINITIONS[definition]})`);
+        await db.run(`INSERT INTO comments_backup (${COLUMNS}) SELECT ${COLUMNS} FROM comments`);
+        await db.run('DROP TABLE comments');
+        await db.run('ALTER TABLE comments_backup RENAME TO comments');
+        for (const index of INDEXES) {
+            await db.run(index);
+        }
+
+        await db.run('COMMIT');
+        console.log('  Rebuilt comments table');
+    } catch (error) {
+        await db.run('ROLLBACK');
+        throw error;
+    }
+}
+
+// Authorless tombstones and every reply under them
+const ORPHANED_COMMENTS = `
+    WITH RECURSIVE orphaned(id) AS (
+        SELECT id FROM comments WHERE user_id IS NULL
+        UNION ALL
+        SELECT c.id FROM comments c JOIN orphaned o ON c.parent_id = o.id
+    )
+    SELECT id FROM orphaned`;
+
+module.exports = {
+    async up(db) {
+        await rebuildComments(db, 'kept');
+    },
+
+    async down(db) {
+        // user_id can't be NULL again, so those threads go the way the old cascade would have taken them
+        await db.run(`DELETE FROM comment_likes WHERE comment_id IN (${ORPHANED_COMMENTS})`);
+        await db.run(`DELETE FROM mentions WHERE comment_id IN (${ORPHANED_COMMENTS})`);
+        await db.run(`DELETE FROM comments WHERE id IN (${ORPHANED_COMMENTS})`);
+        await rebuildComments(db, 'cascade');
+    }
+};
@@ -0,0 +1,104 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Tiny local OpenID Connect provider for trying the OIDC login flow offline.
+// It signs in whoever it is told to without a password, so never expose it publicly.
+//
+//   node mock-oidc.js                  (listens on MOCK_OIDC_PORT, default 4000)
+//
+// Then point the API at it:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:4000
+//   OIDC_MOCK_CLIENT_ID=mock-client
+//   OIDC_MOCK_REDIRECT_URI=http://localhost:3000/oidc-callback
+//
+// GET /authorize accepts login_hint=<email> (plus optional sub, name, email_verified=false)
+// to choose the identity and immediately redirects back with a code.
+
+const createMockIdp = ({ issuer, clientId = 'mock-client' }) => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomUUID();
+    const codes = new Map();
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.get('/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+        if (client_id !== clientId) return res.status(400).send('unknown client_id');
+        if (code_challenge_method !== 'S256' || !code_challenge) return res.status(400).send('PKCE S256 required');
+
+        const email = login_hint || 'mock.user@example.com';
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+            redirectUri: redirect_uri,
+            codeChallenge: code_challenge,
+            claims: {
+                sub: req.query.sub || `mock|${email}`,
+                email,
+                email_verified: req.query.email_verified !== 'false',
+                name: req.query.name || email.split('@')[0],
+                preferred_username: email.split('@')[0],
+                nonce,
+            },
+        });
+
+        const target = new URL(redirect_uri);
+        target.searchParams.set('code', code);
+        if (state) target.searchParams.set('state', state);
+        res.redirect(target.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+        const entry = codes.get(code);
+        codes.delete(code);
+
+        if (grant_type !== 'authorization_code' || !entry || client_id !== clientId || redirect_uri !== entry.redirectUri) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+        if (challenge !== entry.codeChallenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+
+        const idToken = jwt.sign(entry.claims, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer,
+            audience: clientId,
+            expiresIn: '5m',
+        });
+        res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', id_token: idToken, expires_in: 300 });
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const port = process.env.MOCK_OIDC_PORT || 4000;
+    const issuer = `http://localhost:${port}`;
+    createMockIdp({ issuer, clientId: process.env.MOCK_OIDC_CLIENT_ID || 'mock-client' }).listen(port, () => {
+        console.log(`Mock OIDC provider running at ${issuer}`);
+    });
+}
+
+module.exports = { createMockIdp };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect relying party: authorization-code flow with PKCE (RFC 7636)
+// Providers are configured through env, e.g.
+//   OIDC_PROVIDERS=google,mock
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...            (optional for public clients)
+//   OIDC_GOOGLE_REDIRECT_URI=myapp://oauth/google
+//   OIDC_GOOGLE_SCOPES=openid email profile  (optional)
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// PKCE: a random verifier kept server-side and its S256 challenge sent to the provider
+const createPkcePair = () => {
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+    return { codeVerifier, codeChallenge };
+};
+
+class OidcClient {
+    constructor({ name, issuer, clientId, clientSecret = null, redirectUri, scopes = 'openid email profile' }) {
+        this.name = name;
+        this.issuer = issuer.replace(/\/$/, '');
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.redirectUri = redirectUri;
+        this.scopes = scopes;
+        this.metadata = null;
+        this.jwks = null;
+    }
+
+    // Fetches and caches the provider's /.well-known/openid-configuration
+    async discover() {
+        if (this.metadata) return this.metadata;
+        const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+        if (!response.ok) throw new Error(`OIDC discovery failed for ${this.name}: ${response.status}`);
+        this.metadata = await response.json();
+        return this.metadata;
+    }
+
+    async buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+        const { authorization_endpoint } = await this.discover();
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+        });
+        return `${authorization_endpoint}?${params.toString()}`;
+    }
+
+    /**
+     * Exchanges an authorization code for tokens and returns the verified ID token claims
+     */
+    async exchangeCode({ code, codeVerifier, nonce }) {
+        const { token_endpoint } = await this.discover();
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            client_id: this.clientId,
+            code_verifier: codeVerifier,
+        });
+        if (this.clientSecret) body.set('client_secret', this.clientSecret);
+
+        const response = await fetch(token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body,
+        });
+        const tokens = await response.json().catch(() => ({}));
+        if (!response.ok || !tokens.id_token) {
+            throw new Error(`OIDC token exchange failed for ${this.name}: ${tokens.error || response.status}`);
+        }
+
+        return this.verifyIdToken(tokens.id_token, nonce);
+    }
+
+    async verifyIdToken(idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) throw new Error('Malformed ID token');
+
+        const key = await this.getSigningKey(decoded.header.kid);
+        const claims = jwt.verify(idToken, key, {
+            algorithms: ['RS256', 'ES256'],
+            issuer: this.issuer,
+            audience: this.clientId,
+        });
+        if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+        return claims;
+    }
+
+    // Looks the key up in the provider's JWKS, refetching once in case keys were rotated
+    async getSigningKey(kid) {
+        for (const refresh of [false, true]) {
+            if (!this.jwks || refresh) {
+                const { jwks_uri } = await this.discover();
+                const response = await fetch(jwks_uri);
+                if (!response.ok) throw new Error(`Failed to fetch JWKS for ${this.name}`);
+                this.jwks = await response.json();
+            }
+            const jwk = this.jwks.keys.find(k => !kid || k.kid === kid);
+            if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+        throw new Error(`No signing key ${kid} for ${this.name}`);
+    }
+}
+
+/**
+ * Builds an OidcClient for every provider listed in OIDC_PROVIDERS
+ * Returns a Map keyed by lower-case provider name
+ */
+const loadOidcProviders = (env = process.env) => {
+    const providers = new Map();
+    const names = (env.OIDC_PROVIDERS || '').split(',').map(n => n.trim()).filter(Boolean);
+
+    for (const name of names) {
+        const prefix = `OIDC_${name.toUpperCase()}_`;
+        const issuer = env[`${prefix}ISSUER`];
+        const clientId = env[`${prefix}CLIENT_ID`];
+        const redirectUri = env[`${prefix}REDIRECT_URI`];
+        if (!issuer || !clientId || !redirectUri) {
+            throw new Error(`OIDC provider "${name}" needs ${prefix}ISSUER, ${prefix}CLIENT_ID and ${prefix}REDIRECT_URI`);
+        }
+        providers.set(name.toLowerCase(), new OidcClient({
+            name: name.toLowerCase(),
+            issuer,
+            clientId,
+            clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+            redirectUri,
+            scopes: env[`${prefix}SCOPES`] || undefined,
+        }));
+    }
+    return providers;
+};
+
+module.exports = { OidcClient, loadOidcProviders, createPkcePair };
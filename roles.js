@@ -0,0 +1,19 @@
+// Roles and what each one is allowed to do.
+// Routes check permissions (not role names) so a new role only needs an entry here.
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const MODERATOR_PERMISSIONS = [
+    'posts:delete:any',
+    'comments:delete:any',
+];
+
+const ROLE_PERMISSIONS = {
+    user: [],
+    moderator: MODERATOR_PERMISSIONS,
+    admin: [...MODERATOR_PERMISSIONS, 'users:manage-roles'],
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission };
@@ -10,6 +10,16 @@ const http = require('http');
 const { Server } = require('socket.io');
 const uuidv4 = () => crypto.randomUUID();
 const Database = require('./database');
+const { Mailer } = require('./mailer');
+const totp = require('./totp');
+const { loadOidcProviders, createPkcePair } = require('./oidc');
+const { purgeDueAccounts } = require('./account-purge');
+const { buildDataExport } = require('./data-export');
+const { ROLES, hasPermission } = require('./roles');
+const { processImage } = require('./image-processing');
+const { extractHashtags, normalizeHashtag, isValidHashtag, rankTrendingTags } = require('./hashtags');
+const { extractMentions, resolveMentions } = require('./mentions');
+const { extractFirstUrl, createHttpClient, LinkPreviewFetcher } = require('./link-preview');
 require('dotenv').config();
 
 const app = express();
@@ -19,10 +29,59 @@ const io = new Server(server, {
 });
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Social';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const OIDC_LOGIN_TTL_MINUTES = 10;
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DATA_EXPORT_TTL_DAYS = 7;
+const DATA_EXPORT_LINK_EXPIRES_IN = '15m';
+// Only the download route accepts tokens for this audience
+const DATA_EXPORT_LINK_AUDIENCE = 'data-export-download';
+const DATA_EXPORT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const POST_SCHEDULER_INTERVAL_MS = 30 * 1000;
+const POLL_RESULTS_INTERVAL_MS = 15 * 1000;
+// Links whose preview couldn't be fetched are tried again when next posted, at most once an hour
+const LINK_PREVIEW_RETRY_MS = 60 * 60 * 1000;
+const API_TOKEN_PREFIX = 'pat_';
+const API_TOKEN_SCOPES = [
+    'posts:read',
+    'posts:write',
+    'messages:read',
+    'messages:write',
+    'profile:read',
+    'profile:write',
+    'follows:write',
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// How deep comment threads go: 0 is a top-level comment, so 3 allows replies to replies to replies
+const MAX_COMMENT_DEPTH = parseInt(process.env.MAX_COMMENT_DEPTH) || 3;
+// Trending hashtags look at the last 3 days; a use counts half as much every 12 hours
+const TRENDING_WINDOW_HOURS = 72;
+const TRENDING_HALF_LIFE_HOURS = 12;
+// How many posts a user can pin to the top of their profile
+const MAX_PINNED_POSTS = 3;
 
 // Initialize database
 const db = new Database();
 
+// Outgoing email (writes to ./outbox unless MAIL_TRANSPORT says otherwise)
+const mailer = new Mailer();
+
+// External sign-in providers configured through OIDC_* env vars
+const oidcProviders = loadOidcProviders();
+
+// Fetches link previews from public addresses only; LINK_PREVIEW_ALLOW_PRIVATE_ADDRESSES=true
+// lets it reach a local server in development
+const linkPreviewFetcher = new LinkPreviewFetcher({
+    httpClient: createHttpClient({ allowPrivateAddresses: process.env.LINK_PREVIEW_ALLOW_PRIVATE_ADDRESSES === 'true' }),
+});
+
 // Store active socket connections by user ID
 const userSockets = new Map();
 
@@ -48,26 +107,707 @@ const fileFilter = (req, file, cb) => {
     }
 };
 const upload = multer({ storage, fileFilter, limits: { fileSize: 10 * 1024 * 1024 } });
+const MAX_POST_IMAGES = 10;
+const MAX_ALT_TEXT_LENGTH = 1500;
+
+// Removes a stored upload given its public URL (/uploads/<file>)
+const removeUpload = (imageUrl) => {
+    const imagePath = path.join(UPLOADS_DIR, path.basename(imageUrl));
+    if (fs.existsSync(imagePath)) {
+        fs.unlinkSync(imagePath);
+    }
+};
+
+// Throws away the files multer saved (and any thumbnails made from them) for a request we end up rejecting
+const discardUploads = (req) => {
+    for (const file of req.files || []) {
+        removeUpload(file.filename);
+        Object.values(file.processed ? file.processed.variants : {}).forEach(variant => removeUpload(variant.filename));
+    }
+};
+
+// Alt text comes as one altText field per image, in the same order as the files
+const parseAltTexts = (value) => (value === undefined ? [] : [].concat(value));
+
+const validateAltTexts = (altTexts) => {
+    if (altTexts.some(text => typeof text !== 'string')) return 'altText must be text';
+    if (altTexts.some(text => text.length > MAX_ALT_TEXT_LENGTH)) {
+        return `Alt text must be at most ${MAX_ALT_TEXT_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Turns processed uploads (see processUploads) into post_media items
+const describeUploads = (files, altTexts) => files.map((file, index) => {
+    const { filename, mimeType, width, height, blurhash, variants } = file.processed;
+    return {
+        url: `/uploads/${filename}`,
+        mimeType,
+        altText: altTexts[index] || '',
+        width,
+        height,
+        blurhash,
+        variants: Object.fromEntries(Object.entries(variants).map(([name, variant]) => [
+            name,
+            { url: `/uploads/${variant.filename}`, width: variant.width, height: variant.height },
+        ])),
+    };
+});
+
+// Finished "download my data" archives (never served statically)
+const EXPORTS_DIR = path.join(__dirname, 'exports');
+if (!fs.existsSync(EXPORTS_DIR)) {
+    fs.mkdirSync(EXPORTS_DIR, { recursive: true });
+}
+
+// ==================== SESSION HELPERS ====================
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Access tokens are short-lived JWTs tied to a session via the `sid` claim
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { id: user.id, email: user.email, username: user.username, role: user.role || 'user', sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Starts a new session for the requesting device and returns the token pair handed to the client
+const createSessionTokens = async (user, req) => {
+    const sessionId = uuidv4();
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await db.createSession({
+        id: sessionId,
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshTokenExpiry(),
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || null,
+    });
+    return { token: signAccessToken(user, sessionId), refreshToken };
+};
+
+// Verifies a JWT, checks that the session it belongs to is still active and records the activity
+// Single-purpose tokens (2FA challenges, export links) carry a `purpose` claim and are never access tokens
+const verifyAccessToken = (token, ipAddress = null) => new Promise((resolve, reject) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
+        if (err) return reject(err);
+        if (user.purpose || user.aud) return reject(new jwt.JsonWebTokenError('not an access token'));
+        try {
+            const session = user.sid ? await db.getActiveSession(user.sid) : null;
+            if (!session) {
+                return reject(Object.assign(new jwt.JsonWebTokenError('session revoked'), { sessionRevoked: true }));
+            }
+            await db.touchSession(session.id, ipAddress);
+            resolve(user);
+        } catch (error) {
+            reject(error);
+        }
+    });
+});
+
+// User payload returned by login endpoints
+const toAuthUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    name: user.name || '',
+    bio: user.bio || '',
+    link: user.link || '',
+    emailVerified: !!user.email_verified,
+    twoFactorEnabled: !!user.totp_enabled,
+    deletionScheduledFor: user.deletion_scheduled_for || null,
+    role: user.role || 'user',
+});
+
+/**
+ * Finishes a successful first-factor login
+ * Accounts with 2FA get a short-lived challenge for /api/auth/login/2fa instead of tokens
+ */
+const respondWithLogin = async (user, req, res) => {
+    if (user.totp_enabled) {
+        const challengeToken = jwt.sign(
+            { id: user.id, purpose: '2fa' },
+            JWT_SECRET,
+            { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+        );
+        return res.json({ twoFactorRequired: true, challengeToken });
+    }
+
+    const { token, refreshToken } = await createSessionTokens(user, req);
+
+    res.json({
+        token,
+        refreshToken,
+        user: toAuthUser(user),
+    });
+};
+
+// Turns "Jane.Doe+news" into "janedoe", adding digits until the username is free
+const generateUniqueUsername = async (hint) => {
+    const base = String(hint || '').toLowerCase().replace(/[^a-z0-9_]/g, '').slice(0, 20) || 'user';
+    let candidate = base;
+    while (await db.getUserByUsername(candidate)) {
+        candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+    }
+    return candidate;
+};
+
+/**
+ * Maps verified ID token claims to a local user
+ * Order: existing link -> existing account with the same email, verified on both sides -> new account
+ */
+const findOrCreateOidcUser = async (provider, claims) => {
+    const identity = await db.getUserIdentity(provider, claims.sub);
+    if (identity) {
+        return db.getUserWithCredentials(identity.userId);
+    }
+
+    const email = claims.email?.trim();
+    if (!email || !EMAIL_PATTERN.test(email)) {
+        const error = new Error('The provider did not share an email address');
+        error.status = 400;
+        throw error;
+    }
+
+    let user = await db.getUserByEmail(email);
+    if (user) {
+        // Linking on an unverified email would let anyone claim an account by typing its address at the IdP
+        if (claims.email_verified !== true) {
+            const error = new Error('An account with this email already exists. Sign in with your password to continue.');
+            error.status = 409;
+            throw error;
+        }
+        // Nor on a local account whose address was never confirmed: anyone can sign up with someone
+        // else's email, and linking would hand the real owner an account the squatter can still open
+        if (!user.email_verified) {
+            const error = new Error('An account with this email already exists but its address is not verified. Sign in with your password (or reset it) and verify your email to continue.');
+            error.status = 409;
+            throw error;
+        }
+    } else {
+        const userId = uuidv4();
+        // Random password hash nobody knows; the user can set one later through password reset
+        const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+        await db.createUser({
+            id: userId,
+            email,
+            username: await generateUniqueUsername(claims.preferred_username || email.split('@')[0]),
+            password: unusablePassword,
+        });
+        if (claims.email_verified === true) {
+            await db.markEmailVerified(userId, email);
+        } else {
+            await sendVerificationEmail({ id: userId, username: claims.preferred_username || email }, email);
+        }
+        user = await db.getUserWithCredentials(userId);
+    }
+
+    await db.linkUserIdentity({ provider, subject: claims.sub, userId: user.id, email });
+    return user;
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+/**
+ * Checks the second login factor: either a TOTP code or an unused recovery code
+ * TOTP codes are rejected if their time step was already used (replay protection)
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        return db.consumeRecoveryCode(user.id, hashToken(normalizeRecoveryCode(recoveryCode)));
+    }
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) {
+        return false;
+    }
+    return db.consumeTotpStep(user.id, step);
+};
+
+// Creates a single-use verification token for `email` and mails it to that address
+// Pass requestedBySessionId when `email` is a new address the user is switching to
+const sendVerificationEmail = async (user, email, { requestedBySessionId = null } = {}) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.createEmailVerificationToken({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        email,
+        expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+        requestedBySessionId,
+    });
+    if (requestedBySessionId) {
+        await mailer.sendEmailChangeVerification(email, { username: user.username, token });
+    } else {
+        await mailer.sendEmailVerification(email, { username: user.username, token });
+    }
+};
+
+// Creates a single-use password reset token for `user` and mails it to them
+const sendPasswordResetEmail = async (user) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.createPasswordResetToken({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+    });
+    await mailer.sendPasswordReset(user.email, { username: user.username, token });
+};
+
+// Ends a session and drops any live socket that device still has open
+const endSession = async (sessionId) => {
+    await db.revokeSession(sessionId);
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+// Signs out every device except `keepSessionId` (used after credential changes)
+const endOtherSessions = async (userId, keepSessionId) => {
+    const sessions = await db.getUserActiveSessions(userId);
+    for (const session of sessions) {
+        if (session.id !== keepSessionId) {
+            await endSession(session.id);
+        }
+    }
+};
+
+// ==================== DATA EXPORTS ====================
+// Archives are built one at a time in the background so a big export can't starve the API
+let dataExportQueue = Promise.resolve();
+
+const queueDataExport = (exportId, userId) => {
+    dataExportQueue = dataExportQueue.then(async () => {
+        try {
+            await db.markDataExportBuilding(exportId);
+            const filePath = path.join(EXPORTS_DIR, `${exportId}.zip`);
+            const fileSize = await buildDataExport(db, userId, { uploadsDir: UPLOADS_DIR, outputPath: filePath });
+            await db.markDataExportReady(exportId, {
+                filePath,
+                fileSize,
+                expiresAt: new Date(Date.now() + DATA_EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+            });
+        } catch (error) {
+            console.error(`Data export ${exportId} failed:`, error);
+            await db.markDataExportFailed(exportId).catch(() => {});
+        }
+    });
+};
+
+// Status payload; ready exports get a short-lived signed download link tied to the caller's session
+const toDataExportResponse = (dataExport, sessionId) => {
+    const response = {
+        id: dataExport.id,
+        status: dataExport.status,
+        createdAt: dataExport.createdAt,
+        completedAt: dataExport.completedAt,
+        expiresAt: dataExport.expiresAt,
+        fileSize: dataExport.fileSize,
+    };
+    if (dataExport.status === 'ready') {
+        const token = jwt.sign(
+            { purpose: 'export', exportId: dataExport.id, sid: sessionId },
+            JWT_SECRET,
+            { expiresIn: DATA_EXPORT_LINK_EXPIRES_IN, audience: DATA_EXPORT_LINK_AUDIENCE }
+        );
+        response.downloadUrl = `/api/exports/${dataExport.id}/download?token=${token}`;
+    }
+    return response;
+};
+
+// ==================== PAGINATION ====================
+
+// Opaque cursors for keyset pagination: the (createdAt, id) of the last item on a page
+const encodeCursor = ({ createdAt, id }) => Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return typeof createdAt === 'string' && typeof id === 'string' ? { createdAt, id } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// ==================== MENTIONS ====================
+
+// Finds @names in content that belong to real users: [{ userId, username, start, end }]
+const findMentions = async (content) => {
+    const candidates = extractMentions(content);
+    const users = await db.getUsersByUsernames([...new Set(candidates.map(c => c.username))]);
+    return resolveMentions(candidates, users);
+};
+
+/**
+ * Tells each mentioned user (once, and never the author) over their user:<id> room
+ * alreadyNotified lists users who were mentioned before an edit, so they aren't pinged again
+ */
+const notifyMentions = (mentions, { from, postId, commentId = null, alreadyNotified = [] }) => {
+    const skip = new Set([from.id, ...alreadyNotified]);
+    for (const mention of mentions) {
+        if (skip.has(mention.userId)) continue;
+        skip.add(mention.userId);
+        io.to(`user:${mention.userId}`).emit('mention', {
+            postId,
+            commentId,
+            from: { id: from.id, username: from.username },
+            createdAt: new Date().toISOString(),
+        });
+    }
+};
+
+// ==================== POST ACCESS ====================
+
+// Who a post is for: everyone, the author's followers, or only the people it mentions
+// (mentioned users can see followers-only posts too; see visibleTo in database.js)
+const POST_VISIBILITIES = ['public', 'followers', 'mentioned'];
+
+const validateVisibility = (visibility) => {
+    if (visibility === undefined || POST_VISIBILITIES.includes(visibility)) return null;
+    return `visibility must be one of: ${POST_VISIBILITIES.join(', ')}`;
+};
+
+// Gets a post only if the viewer may see it; unpublished posts and posts meant for
+// someone else look like they don't exist
+const getVisiblePost = async (postId, viewerId) => (
+    await db.canViewPost(postId, viewerId) ? db.getPost(postId, viewerId) : null
+);
+
+// Mentions in comments only notify people who can open the post they're on
+const mentionsWithAccess = async (mentions, postId) => {
+    const allowed = [];
+    for (const mention of mentions) {
+        if (await db.canViewPost(postId, mention.userId)) allowed.push(mention);
+    }
+    return allowed;
+};
+
+// ==================== POLLS ====================
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+const MAX_POLL_OPTION_LENGTH = 100;
+const MAX_POLL_DURATION_DAYS = 7;
+
+/**
+ * Validates the poll sent with a new post
+ * It's an object in JSON requests, or a JSON string in multipart ones (next to images):
+ * { options: ['Yes', 'No'], multipleChoice: false, closesAt: '<ISO date>' }
+ * Returns { poll } (null when there's none) or { error }
+ */
+const parsePoll = (value) => {
+    if (value === undefined || value === null || value === '') return { poll: null };
+
+    let poll = value;
+    if (typeof value === 'string') {
+        try {
+            poll = JSON.parse(value);
+        } catch (error) {
+            return { error: 'poll must be a JSON object' };
+        }
+    }
+    if (!poll || typeof poll !== 'object' || Array.isArray(poll)) {
+        return { error: 'poll must be a JSON object' };
+    }
+
+    const { options, multipleChoice = false, closesAt } = poll;
+    if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+        return { error: `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options` };
+    }
+    if (options.some(option => typeof option !== 'string'
+        || option.trim().length === 0 || option.trim().length > MAX_POLL_OPTION_LENGTH)) {
+        return { error: `Poll options must be 1 to ${MAX_POLL_OPTION_LENGTH} characters` };
+    }
+    const texts = options.map(option => option.trim());
+    if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+        return { error: 'Poll options must all be different' };
+    }
+    if (typeof multipleChoice !== 'boolean') {
+        return { error: 'poll.multipleChoice must be true or false' };
+    }
+
+    const closes = new Date(closesAt);
+    if (typeof closesAt !== 'string' || isNaN(closes.getTime())) {
+        return { error: 'poll.closesAt must be a date' };
+    }
+    if (closes.getTime() <= Date.now()) {
+        return { error: 'poll.closesAt must be in the future' };
+    }
+    if (closes.getTime() - Date.now() > MAX_POLL_DURATION_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Polls can run for at most ${MAX_POLL_DURATION_DAYS} days` };
+    }
+
+    return { poll: { options: texts, multipleChoice, closesAt: closes.toISOString() } };
+};
+
+// ==================== PUBLISHING ====================
+// Drafts and scheduled posts get no hashtags, mentions or interactions until they go live
+
+// publishAt arrives as text (multipart) or JSON; '' or null means "not scheduled"
+const parsePublishAt = (value) => {
+    if (value === undefined) return { publishAt: undefined };
+    if (value === null || value === '') return { publishAt: null };
+
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+        return { error: 'publishAt must be a date' };
+    }
+    if (date.getTime() <= Date.now()) {
+        return { error: 'publishAt must be in the future' };
+    }
+    return { publishAt: date.toISOString() };
+};
+
+/**
+ * Publishes a draft or scheduled post, then does what creating a post does:
+ * indexes its hashtags and notifies anyone it mentions
+ * Resolves with the published post, or null if it was already published (or deleted)
+ */
+const publishPost = async (postId) => {
+    if (!await db.publishPost(postId)) return null;
+
+    const post = await db.getPost(postId);
+    const author = await db.getUserById(post.userId);
+    await db.setPostHashtags(post.id, extractHashtags(post.content));
+    const mentions = await db.setPostMentions(post.id, await findMentions(post.content));
+    notifyMentions(mentions, { from: author, postId: post.id });
+
+    return {
+        ...post,
+        username: author.username,
+        mentions,
+        quotedPost: post.quotedPostId ? await db.getQuotedPost(post.quotedPostId, post.userId) : null,
+        likes: [],
+        comments: [],
+        repostCount: 0,
+        quoteCount: 0,
+    };
+};
+
+// ==================== LINK PREVIEWS ====================
+// Previews are fetched one at a time in the background, so posting never waits on someone else's
+// website. A post or message is saved with its link right away and shows the preview once it's cached.
+let linkPreviewQueue = Promise.resolve();
+const linkPreviewFetches = new Map();
+
+/**
+ * Queues a fetch of url's preview unless it's already cached
+ * Resolves with the preview once it's been fetched, or null if there was nothing to fetch
+ * (no link, already cached, or recently failed) or the fetch failed. Never rejects.
+ */
+const queueLinkPreview = async (url) => {
+    if (!url) return null;
+    if (linkPreviewFetches.has(url)) return linkPreviewFetches.get(url);
+
+    try {
+        const retryFailedBefore = new Date(Date.now() - LINK_PREVIEW_RETRY_MS).toISOString();
+        if (!await db.claimLinkPreview(url, { retryFailedBefore })) {
+            // Another request may have claimed it while we waited; share its fetch
+            return linkPreviewFetches.get(url) || null;
+        }
+    } catch (error) {
+        console.error(`Link preview for ${url} failed:`, error);
+        return null;
+    }
+    return fetchLinkPreview(url);
+};
+
+// Fetches a link already marked pending (see db.claimLinkPreview)
+const fetchLinkPreview = (url) => {
+    if (linkPreviewFetches.has(url)) return linkPreviewFetches.get(url);
+
+    const fetched = linkPreviewQueue.then(async () => {
+        try {
+            return await db.saveLinkPreview(url, await linkPreviewFetcher.fetch(url));
+        } catch (error) {
+            console.error(`Link preview for ${url} failed:`, error.message);
+            await db.markLinkPreviewFailed(url).catch(() => {});
+            return null;
+        } finally {
+            linkPreviewFetches.delete(url);
+        }
+    });
+    linkPreviewFetches.set(url, fetched);
+    linkPreviewQueue = fetched;
+    return fetched;
+};
+
+// Messages sent before their link was cached go out without a preview; this sends it to the
+// conversation once it's ready
+const sendMessageLinkPreview = async (message, linkUrl) => {
+    if (!linkUrl || message.linkPreview) return;
+    const linkPreview = await queueLinkPreview(linkUrl);
+    if (linkPreview) {
+        io.to(`conversation:${message.conversationId}`).emit('message_link_preview', {
+            conversationId: message.conversationId,
+            messageId: message.id,
+            linkPreview,
+        });
+    }
+};
+
+// ==================== BRUTE-FORCE PROTECTION ====================
+// Each key gets `freeAttempts` before it locks; every attempt after that doubles the lock,
+// up to `maxDelaySeconds`. Counters reset once a key has been quiet for `resetAfterSeconds`.
+const THROTTLE_RULES = {
+    loginEmail: { freeAttempts: 5, baseDelaySeconds: 30, maxDelaySeconds: 15 * 60, resetAfterSeconds: 60 * 60 },
+    loginIp: { freeAttempts: 20, baseDelaySeconds: 30, maxDelaySeconds: 60 * 60, resetAfterSeconds: 60 * 60 },
+    twoFactor: { freeAttempts: 5, baseDelaySeconds: 30, maxDelaySeconds: 15 * 60, resetAfterSeconds: 60 * 60 },
+    signupIp: { freeAttempts: 10, baseDelaySeconds: 60, maxDelaySeconds: 24 * 60 * 60, resetAfterSeconds: 60 * 60 },
+    currentPassword: { freeAttempts: 5, baseDelaySeconds: 30, maxDelaySeconds: 15 * 60, resetAfterSeconds: 60 * 60 },
+};
+
+const loginEmailKey = (email) => `login:email:${String(email).trim().toLowerCase()}`;
+const loginIpKey = (req) => `login:ip:${req.ip}`;
+const signupIpKey = (req) => `signup:ip:${req.ip}`;
+// Reset requests have their own keys so flooding someone's inbox can't lock them out of login too
+const passwordResetIpKey = (req) => `reset:ip:${req.ip}`;
+const passwordResetEmailKey = (email) => `reset:email:${String(email).trim().toLowerCase()}`;
+const twoFactorKey = (userId) => `login:2fa:${userId}`;
+const currentPasswordKey = (userId) => `reauth:user:${userId}`;
+
+// Seconds until a lockedUntil timestamp passes, or 0 if it already has
+const secondsUntil = (lockedUntil) => {
+    const remainingMs = lockedUntil ? Date.parse(lockedUntil) - Date.now() : 0;
+    return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+// Counts an attempt against a key *before* it is checked, locking it with exponential backoff
+// once over the limit. Resolves the seconds to wait if the key was already locked (and the
+// attempt wasn't counted), or 0 if the attempt may go ahead.
+// Reserving up front means parallel guesses can't all slip past the lock while it's open.
+const reserveThrottledAttempt = async (key, rule) => {
+    const now = Date.now();
+    const reserved = await db.reserveAuthAttempt(key, {
+        now: new Date(now).toISOString(),
+        staleBefore: new Date(now - rule.resetAfterSeconds * 1000).toISOString(),
+        freeAttempts: rule.freeAttempts,
+        baseDelaySeconds: rule.baseDelaySeconds,
+        maxDelaySeconds: rule.maxDelaySeconds,
+    });
+    if (reserved) return 0;
+
+    const throttle = await db.getAuthThrottle(key);
+    return Math.max(1, secondsUntil(throttle && throttle.lockedUntil));
+};
+
+const rejectThrottled = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message: 'Too many attempts. Please try again later.', retryAfter });
+};
+
+// Middleware: reserves an attempt on every [key, rule] returned by limitsFor(req), and
+// responds 429 if any of them is locked
+const throttle = (limitsFor) => async (req, res, next) => {
+    try {
+        let retryAfter = 0;
+        for (const [key, rule] of limitsFor(req)) {
+            retryAfter = Math.max(retryAfter, await reserveThrottledAttempt(key, rule));
+        }
+        if (retryAfter > 0) return rejectThrottled(res, retryAfter);
+    } catch (error) {
+        console.error('Throttle check error:', error);
+        return res.status(500).json({ message: 'Server error' });
+    }
+    next();
+};
+
+// For signed-in routes that re-check the current password, so a stolen session can't guess it
+const throttleCurrentPassword = throttle(req => [[currentPasswordKey(req.user.id), THROTTLE_RULES.currentPassword]]);
 
 // ==================== MIDDLEWARE ====================
 app.use(cors());
 app.use(express.json());
 app.use('/uploads', express.static(UPLOADS_DIR));
 
-const authenticateToken = (req, res, next) => {
+// Accepts session JWTs and personal access tokens (pat_...)
+// Every route must follow this with requireScope(...) or requireSession
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
     if (!token) return res.status(401).json({ message: 'Access token required' });
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return res.status(403).json({ message: 'Invalid token' });
-        req.user = user;
-        next();
-    });
+
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+        try {
+            const apiToken = await db.getActiveApiTokenByHash(hashToken(token));
+            const user = apiToken && await db.getUserById(apiToken.userId);
+            if (!user) return res.status(403).json({ message: 'Invalid token' });
+            await db.touchApiToken(apiToken.id);
+            req.user = {
+                id: user.id,
+                email: user.email,
+                username: user.username,
+                role: user.role,
+                apiTokenId: apiToken.id,
+                scopes: apiToken.scopes,
+            };
+        } catch (err) {
+            console.error('Authentication error:', err);
+            return res.status(500).json({ message: 'Server error' });
+        }
+        return next();
+    }
+
+    try {
+        req.user = await verifyAccessToken(token, req.ip);
+    } catch (err) {
+        // Clients should call /api/auth/refresh on 401 and re-login on 403
+        // (refreshing a logged-out or revoked session fails too, which sends them to login)
+        if (err instanceof jwt.TokenExpiredError) return res.status(401).json({ message: 'Token expired' });
+        if (err.sessionRevoked) return res.status(401).json({ message: 'Session expired' });
+        if (err instanceof jwt.JsonWebTokenError) return res.status(403).json({ message: 'Invalid token' });
+        console.error('Authentication error:', err);
+        return res.status(500).json({ message: 'Server error' });
+    }
+    next();
+};
+
+// Use after authenticateToken; session logins have every scope, API tokens only the ones granted
+const requireScope = (scope) => (req, res, next) => {
+    if (req.user.scopes && !req.user.scopes.includes(scope)) {
+        return res.status(403).json({ message: `Token is missing the ${scope} scope` });
+    }
+    next();
+};
+
+// Use after authenticateToken on account-management routes that API tokens must never reach
+const requireSession = (req, res, next) => {
+    if (!req.user.sid) {
+        return res.status(403).json({ message: 'This endpoint requires signing in' });
+    }
+    next();
+};
+
+// Use after authenticateToken; checks the role claim against roles.js
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user.role, permission)) {
+        return res.status(403).json({ message: 'Not authorized' });
+    }
+    next();
+};
+
+// Use after authenticateToken on routes that need a confirmed email address
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        const user = await db.getUserById(req.user.id);
+        if (!user || !user.email_verified) {
+            return res.status(403).json({ message: 'Please verify your email address first' });
+        }
+    } catch (error) {
+        console.error('Verification check error:', error);
+        return res.status(500).json({ message: 'Server error' });
+    }
+    next();
 };
 
 const handleMulterError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') return res.status(400).json({ message: 'File too large. Maximum size is 10MB.' });
+        if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'images') {
+            return res.status(400).json({ message: `Too many images. Maximum is ${MAX_POST_IMAGES}.` });
+        }
         return res.status(400).json({ message: err.message });
     } else if (err) {
         return res.status(400).json({ message: err.message });
@@ -75,15 +815,32 @@ const handleMulterError = (err, req, res, next) => {
     next();
 };
 
+// Re-encodes each uploaded image, stripping metadata and adding thumbnails and a blurhash
+// Runs after multer so the upload limits and fileFilter apply first
+const processUploads = async (req, res, next) => {
+    try {
+        for (const file of req.files || []) {
+            file.processed = await processImage(file.path);
+            file.filename = file.processed.filename;
+        }
+        next();
+    } catch (error) {
+        console.error('Image processing error:', error);
+        discardUploads(req);
+        res.status(400).json({ message: 'Could not process image' });
+    }
+};
+
 // ==================== SOCKET.IO ====================
 io.use((socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) return next(new Error('Authentication error'));
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return next(new Error('Authentication error'));
-        socket.user = user;
-        next();
-    });
+    verifyAccessToken(token, socket.handshake.address)
+        .then(user => {
+            socket.user = user;
+            next();
+        })
+        .catch(() => next(new Error('Authentication error')));
 });
 
 io.on('connection', (socket) => {
@@ -91,6 +848,7 @@ io.on('connection', (socket) => {
     console.log(`User connected: ${userId}`);
     userSockets.set(userId, socket);
     socket.join(`user:${userId}`);  // Personal room for notifications
+    socket.join(`session:${socket.user.sid}`);  // Lets us disconnect this device when its session ends
 
     socket.on('join_conversation', async (conversationId) => {
         if (await db.isParticipant(conversationId, userId)) {
@@ -107,12 +865,18 @@ io.on('connection', (socket) => {
     socket.on('send_message', async (data, callback) => {
         try {
             const { conversationId, content } = data;
+            const sender = await db.getUserById(userId);
+            if (!sender || !sender.email_verified) {
+                callback({ error: 'Please verify your email address first' });
+                return;
+            }
             if (!await db.isParticipant(conversationId, userId)) {
                 callback({ error: 'Not authorized' });
                 return;
             }
             const messageId = uuidv4();
-            const message = await db.createMessage({ id: messageId, conversationId, senderId: userId, content });
+            const linkUrl = extractFirstUrl(content);
+            const message = await db.createMessage({ id: messageId, conversationId, senderId: userId, content, linkUrl });
             message.senderUsername = socket.user.username;
 
             io.to(`conversation:${conversationId}`).emit('new_message', message);
@@ -125,6 +889,7 @@ io.on('connection', (socket) => {
             });
 
             callback({ success: true, message });
+            sendMessageLinkPreview(message, linkUrl);
         } catch (error) {
             console.error('Error sending message:', error);
             callback({ error: 'Failed to send message' });
@@ -133,21 +898,30 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
         console.log(`User disconnected: ${userId}`);
-        userSockets.delete(userId);
+        // Another device may have connected since; only forget this socket
+        if (userSockets.get(userId) === socket) {
+            userSockets.delete(userId);
+        }
     });
 });
 
 // ==================== AUTH ROUTES ====================
 
 // Sign up
-app.post('/api/auth/signup', async (req, res) => {
+// Every signup attempt from an IP counts, successful or not, to slow mass account creation
+app.post('/api/auth/signup', throttle(req => [[signupIpKey(req), THROTTLE_RULES.signupIp]]), async (req, res) => {
     try {
-        const { email, password, username } = req.body;
+        const { password, username } = req.body;
+        const email = req.body.email?.trim();
 
         if (!email || !password || !username) {
             return res.status(400).json({ message: 'All fields are required' });
         }
 
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ message: 'Invalid email address' });
+        }
+
         const existingUser = await db.getUserByEmail(email);
         if (existingUser) {
             return res.status(400).json({ message: 'Email already registered' });
@@ -168,21 +942,21 @@ app.post('/api/auth/signup', async (req, res) => {
             password: hashedPassword,
         });
 
-        const token = jwt.sign(
-            { id: userId, email, username },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        await sendVerificationEmail({ id: userId, username }, email);
+
+        const { token, refreshToken } = await createSessionTokens({ id: userId, email, username }, req);
 
         res.status(201).json({
             token,
+            refreshToken,
             user: {
                 id: userId,
                 email,
                 username,
                 name: '',
                 bio: '',
-                link: ''
+                link: '',
+                emailVerified: false
             },
         });
     } catch (error) {
@@ -192,7 +966,11 @@ app.post('/api/auth/signup', async (req, res) => {
 });
 
 // Login
-app.post('/api/auth/login', async (req, res) => {
+// Unknown emails count too, so lockouts don't reveal which accounts exist
+app.post('/api/auth/login', throttle(req => [
+    [loginIpKey(req), THROTTLE_RULES.loginIp],
+    ...(req.body?.email ? [[loginEmailKey(req.body.email), THROTTLE_RULES.loginEmail]] : []),
+]), async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -201,181 +979,1363 @@ app.post('/api/auth/login', async (req, res) => {
         }
 
         const user = await db.getUserByEmail(email);
-        if (!user) {
+        const validPassword = user ? await bcrypt.compare(password, user.password) : false;
+        if (!validPassword) {
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
-        const validPassword = await bcrypt.compare(password, user.password);
-        if (!validPassword) {
-            return res.status(401).json({ message: 'Invalid credentials' });
+        // Logging into your own account takes back this attempt from the IP counter but
+        // doesn't reset it, so it can't clear guesses against others
+        await db.releaseAuthAttempt(loginIpKey(req));
+        await db.clearAuthThrottle(loginEmailKey(email));
+
+        await respondWithLogin(user, req, res);
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Login step 2: trade the challenge token plus a TOTP or recovery code for real tokens
+app.post('/api/auth/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ message: 'Challenge token and code are required' });
         }
 
-        const token = jwt.sign(
-            { id: user.id, email: user.email, username: user.username },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        let challenge;
+        try {
+            challenge = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (err) {
+            return res.status(401).json({ message: 'Invalid or expired challenge' });
+        }
+        if (challenge.purpose !== '2fa') {
+            return res.status(401).json({ message: 'Invalid or expired challenge' });
+        }
+
+        const user = await db.getUserWithCredentials(challenge.id);
+        if (!user || !user.totp_enabled) {
+            return res.status(401).json({ message: 'Invalid or expired challenge' });
+        }
+
+        const retryAfter = await reserveThrottledAttempt(twoFactorKey(user.id), THROTTLE_RULES.twoFactor);
+        if (retryAfter > 0) return rejectThrottled(res, retryAfter);
+
+        if (!await verifySecondFactor(user, { code, recoveryCode })) {
+            return res.status(401).json({ message: 'Invalid code' });
+        }
+        await db.clearAuthThrottle(twoFactorKey(user.id));
+
+        const { token, refreshToken } = await createSessionTokens(user, req);
 
         res.json({
             token,
-            user: {
-                id: user.id,
-                email: user.email,
-                username: user.username,
-                name: user.name || '',
-                bio: user.bio || '',
-                link: user.link || ''
-            },
+            refreshToken,
+            user: toAuthUser(user),
+        });
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List the external sign-in providers that are configured
+app.get('/api/auth/oidc/providers', (req, res) => {
+    res.json([...oidcProviders.keys()]);
+});
+
+// Start an external sign-in: returns the provider URL the client should open
+app.get('/api/auth/oidc/:provider/start', async (req, res) => {
+    try {
+        const provider = oidcProviders.get(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ message: 'Unknown sign-in provider' });
+        }
+
+        const state = crypto.randomBytes(24).toString('base64url');
+        const nonce = crypto.randomBytes(24).toString('base64url');
+        const { codeVerifier, codeChallenge } = createPkcePair();
+
+        await db.createOidcLoginState({
+            state,
+            provider: provider.name,
+            codeVerifier,
+            nonce,
+            expiresAt: new Date(Date.now() + OIDC_LOGIN_TTL_MINUTES * 60 * 1000).toISOString(),
+        });
+
+        const authorizationUrl = await provider.buildAuthorizationUrl({ state, nonce, codeChallenge });
+        res.json({ authorizationUrl, state });
+    } catch (error) {
+        console.error('OIDC start error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Finish an external sign-in: the client posts the code and state it got on the redirect URI
+app.post('/api/auth/oidc/:provider/callback', async (req, res) => {
+    try {
+        const provider = oidcProviders.get(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ message: 'Unknown sign-in provider' });
+        }
+
+        const { code, state } = req.body;
+        if (!code || !state) {
+            return res.status(400).json({ message: 'Code and state are required' });
+        }
+
+        const pending = await db.consumeOidcLoginState(state);
+        if (!pending || pending.provider !== provider.name) {
+            return res.status(400).json({ message: 'Invalid or expired sign-in attempt' });
+        }
+
+        let claims;
+        try {
+            claims = await provider.exchangeCode({ code, codeVerifier: pending.codeVerifier, nonce: pending.nonce });
+        } catch (err) {
+            console.error('OIDC exchange error:', err.message);
+            return res.status(401).json({ message: 'Sign-in with provider failed' });
+        }
+
+        const user = await findOrCreateOidcUser(provider.name, claims);
+        await respondWithLogin(user, req, res);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('OIDC callback error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Start 2FA enrollment: returns a new secret and otpauth URI for the authenticator app
+app.post('/api/auth/2fa/setup', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const user = await db.getUserWithCredentials(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = totp.generateSecret();
+        await db.setPendingTotpSecret(user.id, secret);
+
+        res.json({
+            secret,
+            otpauthUrl: totp.buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }),
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Finish enrollment by confirming a code; recovery codes are only ever shown here
+app.post('/api/auth/2fa/enable', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ message: 'Code is required' });
+        }
+
+        const user = await db.getUserWithCredentials(req.user.id);
+
+        if (!user || !user.totp_secret) {
+            return res.status(400).json({ message: 'Start two-factor setup first' });
+        }
+
+        if (user.totp_enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const step = totp.verifyCode(user.totp_secret, code);
+        if (step === null) {
+            return res.status(400).json({ message: 'Invalid code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await db.replaceRecoveryCodes(user.id, recoveryCodes.map(c => hashToken(c)));
+        await db.enableTotp(user.id, step);
+
+        res.json({ enabled: true, recoveryCodes });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Turn 2FA off (requires the current password)
+app.post('/api/auth/2fa/disable', authenticateToken, requireSession, throttleCurrentPassword, async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ message: 'Password is required' });
+        }
+
+        const user = await db.getUserWithCredentials(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ message: 'Invalid password' });
+        }
+        await db.clearAuthThrottle(currentPasswordKey(user.id));
+
+        await db.disableTotp(user.id);
+        res.json({ enabled: false });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token is required' });
+        }
+
+        const refreshTokenHash = hashToken(refreshToken);
+        const session = await db.getSessionByRefreshTokenHash(refreshTokenHash);
+
+        if (!session) {
+            // A rotated token being replayed means it was likely stolen, so kill the whole session
+            const reused = await db.getSessionByPreviousRefreshTokenHash(refreshTokenHash);
+            if (reused) {
+                await db.revokeSession(reused.id);
+            }
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+
+        if (session.revokedAt || session.expiresAt <= new Date().toISOString()) {
+            return res.status(401).json({ message: 'Session expired' });
+        }
+
+        const user = await db.getUserById(session.userId);
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+
+        const newRefreshToken = crypto.randomBytes(48).toString('base64url');
+        const rotated = await db.rotateSessionRefreshToken(
+            session.id, refreshTokenHash, hashToken(newRefreshToken), refreshTokenExpiry()
+        );
+        if (!rotated) {
+            // Another request spent this token first: same as a replay, so end the session
+            await endSession(session.id);
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+
+        res.json({
+            token: signAccessToken(user, session.id),
+            refreshToken: newRefreshToken,
+        });
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Logout (revokes the current session only)
+app.post('/api/auth/logout', authenticateToken, requireSession, async (req, res) => {
+    try {
+        await endSession(req.user.sid);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Log out everywhere (revokes every session for the current user)
+app.post('/api/auth/logout-all', authenticateToken, requireSession, async (req, res) => {
+    try {
+        await db.revokeUserSessions(req.user.id);
+        io.in(`user:${req.user.id}`).disconnectSockets(true);
+        res.json({ message: 'Logged out of all sessions' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Verify email address with the token from the verification email
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ message: 'Verification token is required' });
+        }
+
+        const verification = await db.consumeEmailVerificationToken(hashToken(token));
+        if (!verification) {
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+        }
+
+        const user = await db.getUserById(verification.userId);
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+        }
+
+        if (user.email === verification.email) {
+            await db.markEmailVerified(user.id, verification.email);
+            return res.json({ message: 'Email verified' });
+        }
+
+        // A signup or re-verification link for an address the user has since moved off is stale;
+        // only links sent by the change-email endpoint can switch the account to a new address
+        if (!verification.requestedBySessionId) {
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+        }
+
+        // Token was for a new address: this confirms a pending email change
+        const existingUser = await db.getUserByEmail(verification.email);
+        if (existingUser) {
+            return res.status(400).json({ message: 'Email already registered' });
+        }
+
+        await db.updateUserEmail(user.id, verification.email);
+        await endOtherSessions(user.id, verification.requestedBySessionId);
+        await mailer.sendEmailChangedNotice(user.email, { username: user.username, newEmail: verification.email });
+
+        res.json({ message: 'Email changed', email: verification.email });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Send a fresh verification email to the current address
+app.post('/api/auth/resend-verification', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const user = await db.getUserById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (user.email_verified) {
+            return res.status(400).json({ message: 'Email already verified' });
+        }
+
+        await sendVerificationEmail(user, user.email);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Request a password reset email
+// Throttled per address and per email (using the login rules) so it can't flood an inbox
+app.post('/api/auth/forgot-password', throttle(req => [
+    [passwordResetIpKey(req), THROTTLE_RULES.loginIp],
+    ...(req.body?.email ? [[passwordResetEmailKey(req.body.email), THROTTLE_RULES.loginEmail]] : []),
+]), async (req, res) => {
+    try {
+        const email = req.body.email?.trim();
+
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        // Same response, sent before any reset work, whether or not the account exists so
+        // emails can't be enumerated by the reply or by how long it takes
+        const user = await db.getUserByEmail(email);
+        res.json({ message: 'If that email is registered, a reset link has been sent' });
+
+        if (user) {
+            sendPasswordResetEmail(user).catch(error => console.error('Password reset email error:', error));
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Set a new password using the token from the reset email
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ message: 'Token and new password are required' });
+        }
+
+        // Claim the token before doing anything else so a replayed token can't set a second password
+        const resetToken = await db.consumePasswordResetToken(hashToken(token));
+        if (!resetToken) {
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await db.updateUserPassword(resetToken.userId, hashedPassword);
+
+        // Whoever had the old password (or another pending reset link) is locked out
+        await db.invalidatePasswordResetTokens(resetToken.userId);
+        await db.revokeUserSessions(resetToken.userId);
+        await db.revokeUserApiTokens(resetToken.userId);
+        io.in(`user:${resetToken.userId}`).disconnectSockets(true);
+
+        // Proving control of the inbox lifts any lockout on the account
+        const user = await db.getUserById(resetToken.userId);
+        if (user) {
+            await db.clearAuthThrottle(loginEmailKey(user.email));
+        }
+
+        res.json({ message: 'Password has been reset' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List the devices currently signed in to this account
+app.get('/api/auth/sessions', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const sessions = await db.getUserActiveSessions(req.user.id);
+        res.json(sessions.map(session => ({
+            id: session.id,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            current: session.id === req.user.sid,
+        })));
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// End one signed-in device
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const session = await db.getActiveSession(req.params.sessionId);
+
+        // Same 404 for someone else's session so IDs can't be probed
+        if (!session || session.userId !== req.user.id) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        await endSession(session.id);
+        res.json({ message: 'Session ended' });
+    } catch (error) {
+        console.error('End session error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List personal access tokens (the secrets themselves are never shown again)
+app.get('/api/auth/tokens', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const tokens = await db.getUserApiTokens(req.user.id);
+        res.json(tokens.map(({ id, name, scopes, createdAt, lastUsedAt, expiresAt }) => (
+            { id, name, scopes, createdAt, lastUsedAt, expiresAt }
+        )));
+    } catch (error) {
+        console.error('Get API tokens error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create a personal access token for a script or bot
+app.post('/api/auth/tokens', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const { scopes, expiresInDays } = req.body;
+        const name = req.body.name?.trim();
+
+        if (!name) {
+            return res.status(400).json({ message: 'Token name is required' });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({ message: 'At least one scope is required', availableScopes: API_TOKEN_SCOPES });
+        }
+
+        const unknownScopes = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+        if (unknownScopes.length > 0) {
+            return res.status(400).json({ message: `Unknown scopes: ${unknownScopes.join(', ')}`, availableScopes: API_TOKEN_SCOPES });
+        }
+
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = Number(expiresInDays);
+            if (!Number.isInteger(days) || days <= 0) {
+                return res.status(400).json({ message: 'expiresInDays must be a positive whole number' });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+        }
+
+        const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const apiToken = await db.createApiToken({
+            id: uuidv4(),
+            userId: req.user.id,
+            name,
+            tokenHash: hashToken(token),
+            scopes: [...new Set(scopes)],
+            expiresAt,
+        });
+
+        res.status(201).json({
+            id: apiToken.id,
+            name: apiToken.name,
+            scopes: apiToken.scopes,
+            createdAt: apiToken.createdAt,
+            expiresAt: apiToken.expiresAt,
+            token,
+        });
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Revoke a personal access token
+app.delete('/api/auth/tokens/:tokenId', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const apiToken = await db.getApiToken(req.params.tokenId);
+
+        if (!apiToken || apiToken.userId !== req.user.id || apiToken.revokedAt) {
+            return res.status(404).json({ message: 'Token not found' });
+        }
+
+        await db.revokeApiToken(apiToken.id);
+        res.json({ message: 'Token revoked' });
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ==================== POST ROUTES ====================
+
+// Get feed
+app.get('/api/posts/feed', authenticateToken, requireScope('posts:read'), async (req, res) => {
+    try {
+        const posts = await db.getFeedPosts(req.user.id);
+        res.json(posts);
+    } catch (error) {
+        console.error('Feed error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get explore posts
+app.get('/api/posts/explore', authenticateToken, requireScope('posts:read'), async (req, res) => {
+    try {
+        const posts = await db.getExplorePosts(req.user.id);
+        res.json(posts);
+    } catch (error) {
+        console.error('Explore error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create post - up to MAX_POST_IMAGES images in the `images` field, each with an optional altText
+// Pass quotedPostId to make it a quote post, visibility to limit who can see it (public by default)
+// and poll to attach a poll (see parsePoll)
+app.post('/api/posts', authenticateToken, requireScope('posts:write'), requireVerifiedEmail, upload.array('images', MAX_POST_IMAGES), handleMulterError, processUploads, async (req, res) => {
+    try {
+        const { content, quotedPostId, visibility, poll: pollInput } = req.body;
+        const imageFiles = req.files || [];
+        const altTexts = parseAltTexts(req.body.altText);
+
+        // Validate: must have content or at least one image
+        if ((!content || content.trim().length === 0) && imageFiles.length === 0) {
+            return res.status(400).json({ message: 'Post must have content or an image' });
+        }
+
+        const altTextError = validateAltTexts(altTexts);
+        if (altTextError) {
+            discardUploads(req);
+            return res.status(400).json({ message: altTextError });
+        }
+
+        const visibilityError = validateVisibility(visibility);
+        if (visibilityError) {
+            discardUploads(req);
+            return res.status(400).json({ message: visibilityError });
+        }
+
+        const { poll, error: pollError } = parsePoll(pollInput);
+        if (pollError) {
+            discardUploads(req);
+            return res.status(400).json({ message: pollError });
+        }
+
+        const quotedPost = quotedPostId ? await db.getQuotedPost(quotedPostId, req.user.id) : null;
+        if (quotedPostId && !quotedPost) {
+            discardUploads(req);
+            return res.status(404).json({ message: 'Quoted post not found' });
+        }
+
+        const postId = uuidv4();
+        const media = describeUploads(imageFiles, altTexts);
+
+        const post = await db.createPost({
+            id: postId,
+            userId: req.user.id,
+            content: content || '',
+            media,
+            quotedPostId: quotedPost ? quotedPost.id : null,
+            visibility,
+            linkUrl: extractFirstUrl(content),
+        });
+        if (poll) {
+            await db.createPoll(post.id, poll);
+        }
+        await db.setPostHashtags(post.id, extractHashtags(post.content));
+        const mentions = await db.setPostMentions(post.id, await findMentions(post.content));
+        notifyMentions(mentions, { from: req.user, postId: post.id });
+        queueLinkPreview(extractFirstUrl(post.content));
+
+        res.status(201).json({
+            ...post,
+            username: req.user.username,
+            mentions,
+            quotedPost,
+            poll: poll ? await db.getPoll(post.id, req.user.id) : null,
+            likes: [],
+            comments: [],
+            repostCount: 0,
+            quoteCount: 0,
+        });
+    } catch (error) {
+        console.error('Create post error:', error);
+        discardUploads(req);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete post - UPDATED to also delete image files
+app.delete('/api/posts/:postId', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        const post = await db.getPost(req.params.postId, req.user.id);
+
+        // Authors can delete their own posts; moderators and admins can delete any post,
+        // including ones whose audience they aren't in
+        const mayDelete = post
+            && (post.userId === req.user.id || hasPermission(req.user.role, 'posts:delete:any'));
+
+        // 404 rather than 403 for posts anyone else can't see, so the route doesn't reveal they exist
+        if (!post || (!mayDelete && !await db.canViewPost(post.id, req.user.id))) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        if (!mayDelete) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        // Delete the current images and any images kept for earlier revisions
+        const imageUrls = await db.getPostImageUrls(req.params.postId);
+        imageUrls.forEach(removeUpload);
+
+        await db.deletePost(req.params.postId);
+        res.json({ message: 'Post deleted' });
+    } catch (error) {
+        console.error('Delete post error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Edit post - content and/or images; the previous version is kept as a revision
+// Send new `images` to replace the gallery, removeImages=true to drop it,
+// or just altText (one per current image) to relabel the existing images.
+// visibility can be changed too; on its own that doesn't count as an edit
+app.patch('/api/posts/:postId', authenticateToken, requireScope('posts:write'), requireVerifiedEmail, upload.array('images', MAX_POST_IMAGES), handleMulterError, processUploads, async (req, res) => {
+    const reject = (status, message) => {
+        discardUploads(req);
+        return res.status(status).json({ message });
+    };
+
+    try {
+        // Drafts are edited through /api/drafts
+        const post = await getVisiblePost(req.params.postId, req.user.id);
+
+        if (!post) {
+            return reject(404, 'Post not found');
+        }
+
+        if (post.userId !== req.user.id) {
+            return reject(403, 'Not authorized');
+        }
+
+        const { content, altText, visibility } = req.body || {};
+        const imageFiles = req.files || [];
+        const removeImages = req.body && (req.body.removeImages === 'true' || req.body.removeImages === true);
+        const altTexts = parseAltTexts(altText);
+        const editsContent = content !== undefined || imageFiles.length > 0 || removeImages || altTexts.length > 0;
+
+        if (!editsContent && visibility === undefined) {
+            return reject(400, 'Nothing to update');
+        }
+
+        const altTextError = validateAltTexts(altTexts);
+        if (altTextError) {
+            return reject(400, altTextError);
+        }
+
+        const visibilityError = validateVisibility(visibility);
+        if (visibilityError) {
+            return reject(400, visibilityError);
+        }
+
+        let media;
+        if (imageFiles.length > 0) {
+            media = describeUploads(imageFiles, altTexts);
+        } else if (removeImages) {
+            media = [];
+        } else if (altTexts.length > post.media.length) {
+            return reject(400, 'More alt texts than images');
+        }
+
+        // Same rule as creating: the edited post must still have content or an image
+        const nextContent = content !== undefined ? content : post.content;
+        const nextImageCount = media !== undefined ? media.length : post.media.length;
+        if ((!nextContent || nextContent.trim().length === 0) && nextImageCount === 0) {
+            return reject(400, 'Post must have content or an image');
+        }
+
+        if (visibility !== undefined) {
+            await db.setPostVisibility(post.id, visibility);
+        }
+
+        // Replaced image files stay on disk: the revision still points at them
+        const updated = editsContent
+            ? await db.updatePost(post.id, {
+                content,
+                media,
+                altTexts: media === undefined && altTexts.length > 0 ? altTexts : undefined,
+                linkUrl: content !== undefined ? extractFirstUrl(content) : undefined,
+            })
+            : await db.getPost(post.id);
+        let mentions = await db.getPostMentions(post.id);
+        if (content !== undefined) {
+            await db.setPostHashtags(post.id, extractHashtags(updated.content));
+
+            const previousUserIds = mentions.map(mention => mention.userId);
+            mentions = await db.setPostMentions(post.id, await findMentions(updated.content));
+            notifyMentions(mentions, { from: req.user, postId: post.id, alreadyNotified: previousUserIds });
+            queueLinkPreview(extractFirstUrl(updated.content));
+        }
+
+        res.json({
+            ...updated,
+            username: req.user.username,
+            mentions,
+            poll: await db.getPoll(post.id, req.user.id),
+            edited: editsContent || (await db.getPostRevisions(post.id)).length > 0,
+        });
+    } catch (error) {
+        console.error('Edit post error:', error);
+        discardUploads(req);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a post's edit history, newest first
+app.get('/api/posts/:postId/revisions', authenticateToken, requireScope('posts:read'), async (req, res) => {
+    try {
+        const post = await getVisiblePost(req.params.postId, req.user.id);
+
+        if (!post) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const revisions = await db.getPostRevisions(post.id);
+        res.json({ post, revisions });
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Like/unlike post
+app.post('/api/posts/:postId/like', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        const { postId } = req.params;
+        const userId = req.user.id;
+
+        if (!await getVisiblePost(postId, req.user.id)) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const isLiked = await db.isPostLiked(postId, userId);
+
+        if (isLiked) {
+            await db.unlikePost(postId, userId);
+        } else {
+            await db.likePost(postId, userId);
+        }
+
+        res.json({ liked: !isLiked });
+    } catch (error) {
+        console.error('Like error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Repost/un-repost post
+app.post('/api/posts/:postId/repost', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        const { postId } = req.params;
+        const userId = req.user.id;
+
+        const post = await getVisiblePost(postId, userId);
+        if (!post) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const isReposted = await db.isPostReposted(postId, userId);
+
+        // Reposting would show a restricted post to the reposter's followers
+        if (!isReposted && post.visibility !== 'public') {
+            return res.status(400).json({ message: 'Only public posts can be reposted' });
+        }
+
+        if (isReposted) {
+            await db.unrepostPost(postId, userId);
+        } else {
+            await db.repostPost(postId, userId);
+        }
+
+        const { repostCount } = await db.getRepostCounts(postId);
+        res.json({ reposted: !isReposted, repostCount });
+    } catch (error) {
+        console.error('Repost error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Pin/unpin one of your own posts (toggle); pinned posts come first on your profile
+// Send { position } (0 is first) to pin a post at that place, or to move one that's already pinned;
+// without it a new pin goes after the others
+app.post('/api/posts/:postId/pin', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        const post = await getVisiblePost(req.params.postId, req.user.id);
+        if (!post) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+        if (post.userId !== req.user.id) {
+            return res.status(403).json({ message: 'You can only pin your own posts' });
+        }
+
+        const { position } = req.body || {};
+        const pinnedPostIds = await db.getPinnedPostIds(req.user.id);
+        const isPinned = pinnedPostIds.includes(post.id);
+        const others = pinnedPostIds.filter(id => id !== post.id);
+
+        if (isPinned && position === undefined) {
+            await db.setPinnedPosts(req.user.id, others);
+            return res.json({ pinned: false, pinnedPostIds: others });
+        }
+
+        if (!isPinned && others.length >= MAX_PINNED_POSTS) {
+            return res.status(400).json({ message: `You can pin at most ${MAX_PINNED_POSTS} posts` });
+        }
+        if (position !== undefined && (!Number.isInteger(position) || position < 0 || position > others.length)) {
+            return res.status(400).json({ message: `position must be a whole number from 0 to ${others.length}` });
+        }
+
+        const nextPinnedPostIds = [...others];
+        nextPinnedPostIds.splice(position !== undefined ? position : others.length, 0, post.id);
+        await db.setPinnedPosts(req.user.id, nextPinnedPostIds);
+        res.json({ pinned: true, pinnedPostIds: nextPinnedPostIds });
+    } catch (error) {
+        console.error('Pin post error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Vote in a post's poll: { optionIds: [...] }, exactly one unless it's multiple choice
+// Everyone gets one vote and can't change it; the response is the poll with its results
+app.post('/api/posts/:postId/poll/vote', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        const post = await getVisiblePost(req.params.postId, req.user.id);
+        if (!post) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const poll = await db.getPoll(post.id, req.user.id);
+        if (!poll) {
+            return res.status(404).json({ message: 'Poll not found' });
+        }
+        if (poll.closed) {
+            return res.status(400).json({ message: 'Poll is closed' });
+        }
+        if (poll.voted) {
+            return res.status(409).json({ message: 'You have already voted' });
+        }
+
+        const optionIds = [...new Set([].concat((req.body || {}).optionIds || []))];
+        if (optionIds.length === 0) {
+            return res.status(400).json({ message: 'Choose at least one option' });
+        }
+        if (!poll.multipleChoice && optionIds.length > 1) {
+            return res.status(400).json({ message: 'This poll allows only one choice' });
+        }
+        if (optionIds.some(optionId => !poll.options.some(option => option.id === optionId))) {
+            return res.status(400).json({ message: 'Unknown poll option' });
+        }
+
+        if (!await db.votePoll(post.id, req.user.id, optionIds)) {
+            return res.status(409).json({ message: 'You have already voted' });
+        }
+
+        res.json(await db.getPoll(post.id, req.user.id));
+    } catch (error) {
+        console.error('Poll vote error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Add comment
+// Pass parentId to reply to another comment on the same post
+app.post('/api/posts/:postId/comment', authenticateToken, requireScope('posts:write'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const { content, parentId } = req.body;
+        const { postId } = req.params;
+
+        if (!content || content.trim().length === 0) {
+            return res.status(400).json({ message: 'Comment content is required' });
+        }
+
+        if (!await getVisiblePost(postId, req.user.id)) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        let depth = 0;
+        if (parentId) {
+            const parent = await db.getComment(parentId);
+            if (!parent || parent.postId !== postId) {
+                return res.status(404).json({ message: 'Parent comment not found' });
+            }
+            if (parent.deletedAt) {
+                return res.status(400).json({ message: 'Cannot reply to a deleted comment' });
+            }
+            if (parent.depth >= MAX_COMMENT_DEPTH) {
+                return res.status(400).json({ message: `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep` });
+            }
+            depth = parent.depth + 1;
+        }
+
+        const commentId = uuidv4();
+        const comment = await db.addComment({
+            id: commentId,
+            postId,
+            userId: req.user.id,
+            parentId: parentId || null,
+            depth,
+            content,
+        });
+        const mentions = await db.setCommentMentions(postId, comment.id, await findMentions(content));
+        notifyMentions(await mentionsWithAccess(mentions, postId), { from: req.user, postId, commentId: comment.id });
+
+        res.status(201).json({
+            ...comment,
+            username: req.user.username,
+            mentions,
+        });
+    } catch (error) {
+        console.error('Comment error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get a page of comments: top-level by default, or the replies to ?parent=<commentId>
+// Oldest first; pass the returned nextCursor as ?cursor= for the next page
+app.get('/api/posts/:postId/comments', authenticateToken, requireScope('posts:read'), async (req, res) => {
+    try {
+        const { postId } = req.params;
+        const { parent, cursor } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const post = await getVisiblePost(postId, req.user.id);
+        if (!post) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        if (parent) {
+            const parentComment = await db.getComment(parent);
+            if (!parentComment || parentComment.postId !== postId) {
+                return res.status(404).json({ message: 'Parent comment not found' });
+            }
+        }
+
+        const after = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !after) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+
+        const { comments, hasMore } = await db.getPostComments(postId, {
+            parentId: parent || null,
+            limit,
+            after,
+            viewerId: req.user.id,
+        });
+        res.json({
+            comments,
+            nextCursor: hasMore ? encodeCursor(comments[comments.length - 1]) : null,
         });
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Get comments error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Edit a comment (its author only); deleted comments can't be edited
+app.patch('/api/posts/:postId/comments/:commentId', authenticateToken, requireScope('posts:write'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const { content } = req.body;
+
+        if (!await getVisiblePost(req.params.postId, req.user.id)) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const comment = await db.getComment(req.params.commentId);
+
+        if (!comment || comment.postId !== req.params.postId || comment.deletedAt) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        if (comment.userId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (!content || content.trim().length === 0) {
+            return res.status(400).json({ message: 'Comment content is required' });
+        }
+
+        await db.updateComment(comment.id, content);
+
+        const previous = (await db.getCommentMentionsForPost(comment.postId)).get(comment.id) || [];
+        const mentions = await db.setCommentMentions(comment.postId, comment.id, await findMentions(content));
+        notifyMentions(await mentionsWithAccess(mentions, comment.postId), {
+            from: req.user,
+            postId: comment.postId,
+            commentId: comment.id,
+            alreadyNotified: previous.map(mention => mention.userId),
+        });
+
+        const updated = await db.getComment(comment.id);
+        res.json({
+            ...updated,
+            username: req.user.username,
+            mentions,
+            likeCount: await db.getCommentLikeCount(comment.id),
+            edited: true,
+        });
+    } catch (error) {
+        console.error('Edit comment error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete a comment: its author, the post's author, or moderators and admins
+// Comments with replies are left as a tombstone so the thread stays intact
+app.delete('/api/posts/:postId/comments/:commentId', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        const post = await db.getPost(req.params.postId, req.user.id);
+        const comment = post ? await db.getComment(req.params.commentId) : null;
+
+        // Commenters keep the right to delete their own comment even after losing access
+        // to the post, and moderators and admins can delete any comment
+        const mayDeleteAny = comment && comment.postId === req.params.postId
+            && (comment.userId === req.user.id || hasPermission(req.user.role, 'comments:delete:any'));
+
+        if (!post || (!mayDeleteAny && !await db.canViewPost(post.id, req.user.id))) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        if (!comment || comment.postId !== req.params.postId || comment.deletedAt) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        if (!mayDeleteAny && post.userId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        await db.deleteComment(comment.id);
+        res.json({ message: 'Comment deleted' });
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Hide/unhide a comment on your own post (toggle)
+// Hidden comments stay in the thread, but only the commenter and the post author can read them
+app.post('/api/posts/:postId/comments/:commentId/hide', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        const comment = await db.getComment(req.params.commentId);
+
+        if (!comment || comment.postId !== req.params.postId || comment.deletedAt) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const post = await db.getPost(comment.postId);
+        if (post.userId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const hidden = !comment.hiddenAt;
+        await db.setCommentHidden(comment.id, hidden);
+        res.json({ hidden });
+    } catch (error) {
+        console.error('Hide comment error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Like/unlike a comment (toggle)
+app.post('/api/posts/:postId/comments/:commentId/like', authenticateToken, requireScope('posts:write'), async (req, res) => {
+    try {
+        if (!await getVisiblePost(req.params.postId, req.user.id)) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const comment = await db.getComment(req.params.commentId);
+
+        if (!comment || comment.postId !== req.params.postId || comment.deletedAt) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const liked = await db.isCommentLiked(comment.id, req.user.id);
+        if (liked) {
+            await db.unlikeComment(comment.id, req.user.id);
+        } else {
+            await db.likeComment(comment.id, req.user.id);
+        }
+
+        res.json({ liked: !liked, likeCount: await db.getCommentLikeCount(comment.id) });
+    } catch (error) {
+        console.error('Like comment error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// ==================== POST ROUTES ====================
+// ==================== DRAFT ROUTES ====================
+// Unpublished posts. A draft with a publishAt is "scheduled" and the post scheduler
+// (see BACKGROUND JOBS) publishes it when the time comes.
 
-// Get feed
-app.get('/api/posts/feed', authenticateToken, async (req, res) => {
+// Get the current user's drafts and scheduled posts
+app.get('/api/drafts', authenticateToken, requireScope('posts:read'), async (req, res) => {
     try {
-        const posts = await db.getFeedPosts(req.user.id);
-        res.json(posts);
+        const drafts = await db.getUserDrafts(req.user.id);
+        res.json(drafts);
     } catch (error) {
-        console.error('Feed error:', error);
+        console.error('Get drafts error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Get explore posts
-app.get('/api/posts/explore', authenticateToken, async (req, res) => {
+app.get('/api/drafts/:postId', authenticateToken, requireScope('posts:read'), async (req, res) => {
     try {
-        const posts = await db.getExplorePosts(req.user.id);
-        res.json(posts);
+        const draft = await db.getPost(req.params.postId);
+
+        if (!draft || draft.userId !== req.user.id || draft.status === 'published') {
+            return res.status(404).json({ message: 'Draft not found' });
+        }
+
+        res.json(draft);
     } catch (error) {
-        console.error('Explore error:', error);
+        console.error('Get draft error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Create post - UPDATED to handle image uploads
-app.post('/api/posts', authenticateToken, upload.single('image'), handleMulterError, async (req, res) => {
+// Create a draft - same fields as creating a post (visibility included), plus an optional publishAt to schedule it
+app.post('/api/drafts', authenticateToken, requireScope('posts:write'), requireVerifiedEmail, upload.array('images', MAX_POST_IMAGES), handleMulterError, processUploads, async (req, res) => {
+    const reject = (status, message) => {
+        discardUploads(req);
+        return res.status(status).json({ message });
+    };
+
     try {
-        const { content } = req.body;
-        const imageFile = req.file;
+        const { content, quotedPostId, altText, visibility } = req.body || {};
+        const imageFiles = req.files || [];
+        const altTexts = parseAltTexts(altText);
 
-        // Validate: must have content or image
-        if ((!content || content.trim().length === 0) && !imageFile) {
-            return res.status(400).json({ message: 'Post must have content or an image' });
+        if ((!content || content.trim().length === 0) && imageFiles.length === 0) {
+            return reject(400, 'Post must have content or an image');
         }
 
-        const postId = uuidv4();
+        const altTextError = validateAltTexts(altTexts);
+        if (altTextError) {
+            return reject(400, altTextError);
+        }
 
-        // Build image URL if file was uploaded
-        let imageUrl = null;
-        if (imageFile) {
-            // Construct the full URL for the image
-            imageUrl = `/uploads/${imageFile.filename}`;
+        const visibilityError = validateVisibility(visibility);
+        if (visibilityError) {
+            return reject(400, visibilityError);
         }
 
-        const post = await db.createPost({
-            id: postId,
+        const { publishAt, error: publishAtError } = parsePublishAt((req.body || {}).publishAt);
+        if (publishAtError) {
+            return reject(400, publishAtError);
+        }
+
+        if (quotedPostId && !await db.getQuotedPost(quotedPostId, req.user.id)) {
+            return reject(404, 'Quoted post not found');
+        }
+
+        const draft = await db.createPost({
+            id: uuidv4(),
             userId: req.user.id,
             content: content || '',
-            imageUrl,
+            media: describeUploads(imageFiles, altTexts),
+            quotedPostId: quotedPostId || null,
+            visibility,
+            status: publishAt ? 'scheduled' : 'draft',
+            publishAt,
+            linkUrl: extractFirstUrl(content),
         });
+        queueLinkPreview(extractFirstUrl(draft.content));
 
-        res.status(201).json({
-            ...post,
-            username: req.user.username,
-            likes: [],
-            comments: [],
-        });
+        res.status(201).json(draft);
     } catch (error) {
-        console.error('Create post error:', error);
+        console.error('Create draft error:', error);
+        discardUploads(req);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Delete post - UPDATED to also delete image file
-app.delete('/api/posts/:postId', authenticateToken, async (req, res) => {
+// Edit a draft - content, images, visibility (as for editing a post) and/or publishAt ('' or null unschedules it)
+// Replaced images are deleted right away: drafts don't keep revisions
+app.patch('/api/drafts/:postId', authenticateToken, requireScope('posts:write'), requireVerifiedEmail, upload.array('images', MAX_POST_IMAGES), handleMulterError, processUploads, async (req, res) => {
+    const reject = (status, message) => {
+        discardUploads(req);
+        return res.status(status).json({ message });
+    };
+
     try {
-        const post = await db.getPost(req.params.postId);
+        const draft = await db.getPost(req.params.postId);
 
-        if (!post) {
-            return res.status(404).json({ message: 'Post not found' });
+        if (!draft || draft.userId !== req.user.id || draft.status === 'published') {
+            return reject(404, 'Draft not found');
         }
 
-        if (post.userId !== req.user.id) {
-            return res.status(403).json({ message: 'Not authorized' });
+        const { content, altText, visibility } = req.body || {};
+        const imageFiles = req.files || [];
+        const removeImages = req.body && (req.body.removeImages === 'true' || req.body.removeImages === true);
+        const altTexts = parseAltTexts(altText);
+        const { publishAt, error: publishAtError } = parsePublishAt((req.body || {}).publishAt);
+
+        if (publishAtError) {
+            return reject(400, publishAtError);
         }
 
-        // Delete image file if exists
-        if (post.imageUrl) {
-            const imagePath = path.join(__dirname, post.imageUrl);
-            if (fs.existsSync(imagePath)) {
-                fs.unlinkSync(imagePath);
-            }
+        if (content === undefined && imageFiles.length === 0 && !removeImages && altTexts.length === 0
+            && publishAt === undefined && visibility === undefined) {
+            return reject(400, 'Nothing to update');
         }
 
-        await db.deletePost(req.params.postId);
-        res.json({ message: 'Post deleted' });
+        const visibilityError = validateVisibility(visibility);
+        if (visibilityError) {
+            return reject(400, visibilityError);
+        }
+
+        const altTextError = validateAltTexts(altTexts);
+        if (altTextError) {
+            return reject(400, altTextError);
+        }
+
+        let media;
+        if (imageFiles.length > 0) {
+            media = describeUploads(imageFiles, altTexts);
+        } else if (removeImages) {
+            media = [];
+        } else if (altTexts.length > draft.media.length) {
+            return reject(400, 'More alt texts than images');
+        }
+
+        const nextContent = content !== undefined ? content : draft.content;
+        const nextImageCount = media !== undefined ? media.length : draft.media.length;
+        if ((!nextContent || nextContent.trim().length === 0) && nextImageCount === 0) {
+            return reject(400, 'Post must have content or an image');
+        }
+
+        const updated = await db.updateDraft(draft.id, {
+            content,
+            media,
+            altTexts: media === undefined && altTexts.length > 0 ? altTexts : undefined,
+            publishAt,
+            visibility,
+            linkUrl: content !== undefined ? extractFirstUrl(content) : undefined,
+        });
+        if (media !== undefined) {
+            db.collectMediaUrls(draft.media).forEach(removeUpload);
+        }
+        if (content !== undefined) {
+            queueLinkPreview(extractFirstUrl(updated.content));
+        }
+
+        res.json(updated);
     } catch (error) {
-        console.error('Delete post error:', error);
+        console.error('Edit draft error:', error);
+        discardUploads(req);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Like/unlike post
-app.post('/api/posts/:postId/like', authenticateToken, async (req, res) => {
+app.delete('/api/drafts/:postId', authenticateToken, requireScope('posts:write'), async (req, res) => {
     try {
-        const { postId } = req.params;
-        const userId = req.user.id;
+        const draft = await db.getPost(req.params.postId);
 
-        const isLiked = await db.isPostLiked(postId, userId);
-
-        if (isLiked) {
-            await db.unlikePost(postId, userId);
-        } else {
-            await db.likePost(postId, userId);
+        if (!draft || draft.userId !== req.user.id || draft.status === 'published') {
+            return res.status(404).json({ message: 'Draft not found' });
         }
 
-        res.json({ liked: !isLiked });
+        db.collectMediaUrls(draft.media).forEach(removeUpload);
+        await db.deletePost(draft.id);
+        res.json({ message: 'Draft deleted' });
     } catch (error) {
-        console.error('Like error:', error);
+        console.error('Delete draft error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Add comment
-app.post('/api/posts/:postId/comment', authenticateToken, async (req, res) => {
+// Publish a draft (or a scheduled post) now
+app.post('/api/drafts/:postId/publish', authenticateToken, requireScope('posts:write'), requireVerifiedEmail, async (req, res) => {
     try {
-        const { content } = req.body;
-        const { postId } = req.params;
+        const draft = await db.getPost(req.params.postId);
 
-        if (!content || content.trim().length === 0) {
-            return res.status(400).json({ message: 'Comment content is required' });
+        if (!draft || draft.userId !== req.user.id || draft.status === 'published') {
+            return res.status(404).json({ message: 'Draft not found' });
         }
 
-        const commentId = uuidv4();
-        const comment = await db.addComment({
-            id: commentId,
-            postId,
-            userId: req.user.id,
-            content,
-        });
+        const post = await publishPost(draft.id);
+        if (!post) {
+            // The scheduler got there first
+            return res.status(409).json({ message: 'Post is already published' });
+        }
 
-        res.status(201).json({
-            ...comment,
-            username: req.user.username,
-        });
+        res.json(post);
     } catch (error) {
-        console.error('Comment error:', error);
+        console.error('Publish draft error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 // ==================== MESSAGING ROUTES ====================
-app.get('/api/conversations', authenticateToken, async (req, res) => {
+app.get('/api/conversations', authenticateToken, requireScope('messages:read'), async (req, res) => {
     try {
         const conversations = await db.getUserConversations(req.user.id);
         res.json(conversations);
@@ -385,7 +2345,7 @@ app.get('/api/conversations', authenticateToken, async (req, res) => {
     }
 });
 
-app.post('/api/conversations', authenticateToken, async (req, res) => {
+app.post('/api/conversations', authenticateToken, requireScope('messages:write'), async (req, res) => {
     try {
         const { participantId } = req.body;
         const currentUserId = req.user.id;
@@ -403,7 +2363,7 @@ app.post('/api/conversations', authenticateToken, async (req, res) => {
     }
 });
 
-app.get('/api/conversations/:conversationId', authenticateToken, async (req, res) => {
+app.get('/api/conversations/:conversationId', authenticateToken, requireScope('messages:read'), async (req, res) => {
     try {
         const { conversationId } = req.params;
         const userId = req.user.id;
@@ -417,7 +2377,7 @@ app.get('/api/conversations/:conversationId', authenticateToken, async (req, res
     }
 });
 
-app.get('/api/conversations/:conversationId/messages', authenticateToken, async (req, res) => {
+app.get('/api/conversations/:conversationId/messages', authenticateToken, requireScope('messages:read'), async (req, res) => {
     try {
         const { conversationId } = req.params;
         const { limit = 50, before } = req.query;
@@ -431,7 +2391,7 @@ app.get('/api/conversations/:conversationId/messages', authenticateToken, async
     }
 });
 
-app.post('/api/conversations/:conversationId/messages', authenticateToken, async (req, res) => {
+app.post('/api/conversations/:conversationId/messages', authenticateToken, requireScope('messages:write'), requireVerifiedEmail, async (req, res) => {
     try {
         const { conversationId } = req.params;
         const { content } = req.body;
@@ -439,7 +2399,8 @@ app.post('/api/conversations/:conversationId/messages', authenticateToken, async
         if (!content?.trim()) return res.status(400).json({ message: 'Content required' });
         if (!await db.isParticipant(conversationId, userId)) return res.status(403).json({ message: 'Not authorized' });
         const messageId = uuidv4();
-        const message = await db.createMessage({ id: messageId, conversationId, senderId: userId, content: content.trim() });
+        const linkUrl = extractFirstUrl(content);
+        const message = await db.createMessage({ id: messageId, conversationId, senderId: userId, content: content.trim(), linkUrl });
         message.senderUsername = req.user.username;
 
         io.to(`conversation:${conversationId}`).emit('new_message', message);
@@ -452,6 +2413,7 @@ app.post('/api/conversations/:conversationId/messages', authenticateToken, async
         });
 
         res.status(201).json(message);
+        sendMessageLinkPreview(message, linkUrl);
     } catch (error) {
         console.error('Send message error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -460,10 +2422,10 @@ app.post('/api/conversations/:conversationId/messages', authenticateToken, async
 
 // ==================== USER ROUTES ====================
 
-// Get user posts
-app.get('/api/users/:userId/posts', authenticateToken, async (req, res) => {
+// Get user posts (pinned ones first)
+app.get('/api/users/:userId/posts', authenticateToken, requireScope('posts:read'), async (req, res) => {
     try {
-        const posts = await db.getUserPosts(req.params.userId);
+        const posts = await db.getUserPosts(req.params.userId, req.user.id);
         res.json(posts);
     } catch (error) {
         console.error('Get user posts error:', error);
@@ -472,7 +2434,7 @@ app.get('/api/users/:userId/posts', authenticateToken, async (req, res) => {
 });
 
 // Get user stats
-app.get('/api/users/:userId/stats', authenticateToken, async (req, res) => {
+app.get('/api/users/:userId/stats', authenticateToken, requireScope('profile:read'), async (req, res) => {
     try {
         const stats = await db.getUserStats(req.params.userId);
         res.json(stats);
@@ -483,7 +2445,7 @@ app.get('/api/users/:userId/stats', authenticateToken, async (req, res) => {
 });
 
 // Search users
-app.get('/api/users/search', authenticateToken, async (req, res) => {
+app.get('/api/users/search', authenticateToken, requireScope('profile:read'), async (req, res) => {
     try {
         const { q } = req.query;
 
@@ -500,7 +2462,7 @@ app.get('/api/users/search', authenticateToken, async (req, res) => {
 });
 
 // Follow/unfollow user
-app.post('/api/users/:userId/follow', authenticateToken, async (req, res) => {
+app.post('/api/users/:userId/follow', authenticateToken, requireScope('follows:write'), async (req, res) => {
     try {
         const targetUserId = req.params.userId;
         const currentUserId = req.user.id;
@@ -525,7 +2487,7 @@ app.post('/api/users/:userId/follow', authenticateToken, async (req, res) => {
 });
 
 // Get user's followers
-app.get('/api/users/:userId/followers', authenticateToken, async (req, res) => {
+app.get('/api/users/:userId/followers', authenticateToken, requireScope('profile:read'), async (req, res) => {
     try {
         const followers = await db.getFollowersWithDetails(req.params.userId);
         res.json(followers);
@@ -536,7 +2498,7 @@ app.get('/api/users/:userId/followers', authenticateToken, async (req, res) => {
 });
 
 // Get who user is following
-app.get('/api/users/:userId/following', authenticateToken, async (req, res) => {
+app.get('/api/users/:userId/following', authenticateToken, requireScope('profile:read'), async (req, res) => {
     try {
         const following = await db.getFollowingWithDetails(req.params.userId);
         res.json(following);
@@ -547,7 +2509,7 @@ app.get('/api/users/:userId/following', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-app.put('/api/users/profile', authenticateToken, async (req, res) => {
+app.put('/api/users/profile', authenticateToken, requireScope('profile:write'), async (req, res) => {
     try {
         const { name, username, bio, link } = req.body;
         const userId = req.user.id;
@@ -588,8 +2550,205 @@ app.put('/api/users/profile', authenticateToken, async (req, res) => {
     }
 });
 
+// Change password (requires the current password)
+app.put('/api/users/password', authenticateToken, requireSession, throttleCurrentPassword, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ message: 'Current and new password are required' });
+        }
+
+        const user = await db.getUserWithCredentials(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const validPassword = await bcrypt.compare(currentPassword, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+        await db.clearAuthThrottle(currentPasswordKey(user.id));
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await db.updateUserPassword(user.id, hashedPassword);
+        await db.invalidatePasswordResetTokens(user.id);
+        await endOtherSessions(user.id, req.user.sid);
+        // The old password may have leaked, so anything minted with it stops working too
+        await db.revokeUserApiTokens(user.id);
+        await mailer.sendPasswordChangedNotice(user.email, { username: user.username });
+
+        res.json({ message: 'Password changed' });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Change email (requires the current password; takes effect once the new address is verified)
+app.put('/api/users/email', authenticateToken, requireSession, throttleCurrentPassword, async (req, res) => {
+    try {
+        const { currentPassword } = req.body;
+        const newEmail = req.body.newEmail?.trim();
+
+        if (!currentPassword || !newEmail) {
+            return res.status(400).json({ message: 'Current password and new email are required' });
+        }
+
+        if (!EMAIL_PATTERN.test(newEmail)) {
+            return res.status(400).json({ message: 'Invalid email address' });
+        }
+
+        const user = await db.getUserWithCredentials(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const validPassword = await bcrypt.compare(currentPassword, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+        await db.clearAuthThrottle(currentPasswordKey(user.id));
+
+        if (newEmail === user.email) {
+            return res.status(400).json({ message: 'That is already your email address' });
+        }
+
+        const existingUser = await db.getUserByEmail(newEmail);
+        if (existingUser) {
+            return res.status(400).json({ message: 'Email already registered' });
+        }
+
+        await sendVerificationEmail(user, newEmail, { requestedBySessionId: req.user.sid });
+        res.status(202).json({ message: 'Check your new email address to confirm the change' });
+    } catch (error) {
+        console.error('Change email error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete account (requires password; takes effect after a grace period)
+app.delete('/api/users/me', authenticateToken, requireSession, throttleCurrentPassword, async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({ message: 'Password is required' });
+        }
+
+        const user = await db.getUserWithCredentials(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ message: 'Invalid password' });
+        }
+        await db.clearAuthThrottle(currentPasswordKey(user.id));
+
+        const deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        await db.scheduleUserDeletion(user.id, deletionScheduledFor);
+
+        // Keep the current session so the user can still cancel from this device
+        await endOtherSessions(user.id, req.user.sid);
+        await mailer.sendAccountDeletionScheduled(user.email, { username: user.username, scheduledFor: deletionScheduledFor });
+
+        res.json({ message: 'Account scheduled for deletion', deletionScheduledFor });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Cancel a pending account deletion
+app.post('/api/users/me/cancel-deletion', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const user = await db.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.deletion_scheduled_for) {
+            return res.status(400).json({ message: 'Account is not scheduled for deletion' });
+        }
+
+        await db.cancelUserDeletion(user.id);
+        res.json({ message: 'Account deletion cancelled' });
+    } catch (error) {
+        console.error('Cancel deletion error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Request a personal data export (built in the background)
+app.post('/api/users/me/exports', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const unfinished = await db.getUnfinishedDataExportForUser(req.user.id);
+        if (unfinished) {
+            return res.status(409).json({ message: 'An export is already being prepared', id: unfinished.id });
+        }
+
+        const dataExport = await db.createDataExport({ id: uuidv4(), userId: req.user.id });
+        queueDataExport(dataExport.id, req.user.id);
+
+        res.status(202).json(toDataExportResponse(dataExport, req.user.sid));
+    } catch (error) {
+        console.error('Create export error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Check on a data export; includes a download link once it is ready
+app.get('/api/users/me/exports/:exportId', authenticateToken, requireSession, async (req, res) => {
+    try {
+        const dataExport = await db.getDataExport(req.params.exportId);
+
+        if (!dataExport || dataExport.userId !== req.user.id) {
+            return res.status(404).json({ message: 'Export not found' });
+        }
+
+        res.json(toDataExportResponse(dataExport, req.user.sid));
+    } catch (error) {
+        console.error('Get export error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Download a finished export through the signed link from the status endpoint
+app.get('/api/exports/:exportId/download', async (req, res) => {
+    try {
+        let claims;
+        try {
+            claims = jwt.verify(String(req.query.token || ''), JWT_SECRET, { audience: DATA_EXPORT_LINK_AUDIENCE });
+        } catch (err) {
+            return res.status(403).json({ message: 'Download link is invalid or has expired' });
+        }
+        if (claims.purpose !== 'export' || claims.exportId !== req.params.exportId) {
+            return res.status(403).json({ message: 'Download link is invalid or has expired' });
+        }
+
+        // Signing out invalidates any links handed to that session
+        const session = await db.getActiveSession(claims.sid);
+        const dataExport = await db.getDataExport(req.params.exportId);
+        if (!session || !dataExport || dataExport.userId !== session.userId) {
+            return res.status(403).json({ message: 'Download link is invalid or has expired' });
+        }
+
+        if (dataExport.status !== 'ready' || !fs.existsSync(dataExport.filePath)) {
+            return res.status(404).json({ message: 'Export not available' });
+        }
+
+        const date = dataExport.completedAt.slice(0, 10);
+        res.download(dataExport.filePath, `data-export-${date}.zip`);
+    } catch (error) {
+        console.error('Download export error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // Get user profile (for viewing any user's profile)
-app.get('/api/users/:userId/profile', authenticateToken, async (req, res) => {
+app.get('/api/users/:userId/profile', authenticateToken, requireScope('profile:read'), async (req, res) => {
     try {
         const targetUserId = req.params.userId;
         const currentUserId = req.user.id;
@@ -608,6 +2767,9 @@ app.get('/api/users/:userId/profile', authenticateToken, async (req, res) => {
         // Get stats
         const stats = await db.getUserStats(targetUserId);
 
+        // Only the pins this viewer is allowed to see, in the author's order
+        const pinnedPostIds = await db.getPinnedPostIds(targetUserId, currentUserId);
+
         res.json({
             id: user.id,
             username: user.username,
@@ -615,6 +2777,7 @@ app.get('/api/users/:userId/profile', authenticateToken, async (req, res) => {
             bio: user.bio || '',
             link: user.link || '',
             isFollowing,
+            pinnedPostIds,
             stats: {
                 posts: stats.posts,
                 followers: stats.followers,
@@ -630,11 +2793,15 @@ app.get('/api/users/:userId/profile', authenticateToken, async (req, res) => {
 // ==================== BOOKMARK ROUTES ====================
 
 // Toggle bookmark on a post
-app.post('/api/posts/:postId/bookmark', authenticateToken, async (req, res) => {
+app.post('/api/posts/:postId/bookmark', authenticateToken, requireScope('posts:write'), async (req, res) => {
     try {
         const { postId } = req.params;
         const userId = req.user.id;
 
+        if (!await getVisiblePost(postId, req.user.id)) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
         const isBookmarked = await db.isPostBookmarked(postId, userId);
 
         if (isBookmarked) {
@@ -651,7 +2818,7 @@ app.post('/api/posts/:postId/bookmark', authenticateToken, async (req, res) => {
 });
 
 // Get user's bookmarked posts
-app.get('/api/users/:userId/bookmarks', authenticateToken, async (req, res) => {
+app.get('/api/users/:userId/bookmarks', authenticateToken, requireScope('posts:read'), async (req, res) => {
     try {
         const requestedUserId = req.params.userId;
         const currentUserId = req.user.id;
@@ -670,6 +2837,158 @@ app.get('/api/users/:userId/bookmarks', authenticateToken, async (req, res) => {
 });
 
 
+// ==================== HASHTAG ROUTES ====================
+
+// Top tags by recent use (newer uses weigh more)
+app.get('/api/hashtags/trending', authenticateToken, requireScope('posts:read'), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const since = new Date(Date.now() - TRENDING_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+        const usage = await db.getHashtagUsage(since);
+        res.json(rankTrendingTags(usage, { halfLifeHours: TRENDING_HALF_LIFE_HOURS, limit }));
+    } catch (error) {
+        console.error('Trending hashtags error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Posts using a tag, newest first; page with ?cursor=<nextCursor from the previous page>
+app.get('/api/hashtags/:tag/posts', authenticateToken, requireScope('posts:read'), async (req, res) => {
+    try {
+        if (!isValidHashtag(req.params.tag)) {
+            return res.status(400).json({ message: 'Invalid hashtag' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const { cursor } = req.query;
+        const before = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !before) {
+            return res.status(400).json({ message: 'Invalid cursor' });
+        }
+
+        const { posts, hasMore } = await db.getHashtagPosts(normalizeHashtag(req.params.tag), {
+            limit,
+            before,
+            viewerId: req.user.id,
+        });
+        res.json({
+            posts,
+            nextCursor: hasMore ? encodeCursor(posts[posts.length - 1]) : null,
+        });
+    } catch (error) {
+        console.error('Hashtag posts error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// Change a user's role (admins only)
+app.put('/api/admin/users/:userId/role', authenticateToken, requireSession, requirePermission('users:manage-roles'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const targetUserId = req.params.userId;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        // Stops the last admin from accidentally locking everyone out
+        if (targetUserId === req.user.id) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
+        const user = await db.getUserById(targetUserId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await db.updateUserRole(user.id, role);
+
+        // Roles ride along in access tokens, so sign the user out to make the change take effect now
+        await db.revokeUserSessions(user.id);
+        io.in(`user:${user.id}`).disconnectSockets(true);
+
+        res.json({ id: user.id, username: user.username, role });
+    } catch (error) {
+        console.error('Change role error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ==================== BACKGROUND JOBS ====================
+
+// Purge accounts whose deletion grace period has ended
+const runAccountPurge = () => {
+    purgeDueAccounts(db, { uploadsDir: UPLOADS_DIR })
+        .catch(error => console.error('Account purge error:', error));
+};
+setInterval(runAccountPurge, ACCOUNT_PURGE_INTERVAL_MS).unref();
+runAccountPurge();
+
+// Delete data export archives once their download window has passed
+const cleanupDataExports = async () => {
+    const expired = await db.getExpiredDataExports();
+    for (const dataExport of expired) {
+        if (dataExport.filePath && fs.existsSync(dataExport.filePath)) {
+            fs.unlinkSync(dataExport.filePath);
+        }
+        await db.deleteDataExport(dataExport.id);
+    }
+};
+setInterval(() => {
+    cleanupDataExports().catch(error => console.error('Data export cleanup error:', error));
+}, DATA_EXPORT_CLEANUP_INTERVAL_MS).unref();
+
+// Publish scheduled posts once they're due. The schedule lives in the database, so
+// posts that came due while the server was down go out on the first run after a restart
+const publishScheduledPosts = async () => {
+    const postIds = await db.getDueScheduledPostIds();
+    for (const postId of postIds) {
+        try {
+            const post = await publishPost(postId);
+            if (post) {
+                io.to(`user:${post.userId}`).emit('post_published', { postId: post.id, publishedAt: post.createdAt });
+            }
+        } catch (error) {
+            console.error(`Publish scheduled post ${postId} error:`, error);
+        }
+    }
+};
+const runPostScheduler = () => {
+    publishScheduledPosts().catch(error => console.error('Post scheduler error:', error));
+};
+setInterval(runPostScheduler, POST_SCHEDULER_INTERVAL_MS).unref();
+runPostScheduler();
+
+// Push the final results of closed polls to everyone who voted in them
+// (results_sent_at keeps track, so polls that closed while the server was down get theirs after a restart)
+const sendClosedPollResults = async () => {
+    const postIds = await db.getClosedPollsAwaitingResults();
+    for (const postId of postIds) {
+        if (!await db.markPollResultsSent(postId)) continue;
+
+        const voterIds = await db.getPollVoterIds(postId);
+        for (const voterId of voterIds) {
+            io.to(`user:${voterId}`).emit('poll_closed', { postId, poll: await db.getPoll(postId, voterId) });
+        }
+    }
+};
+setInterval(() => {
+    sendClosedPollResults().catch(error => console.error('Poll results error:', error));
+}, POLL_RESULTS_INTERVAL_MS).unref();
+
+// Link previews that were queued or being fetched when the server last stopped
+db.getPendingLinkPreviewUrls()
+    .then(urls => urls.forEach(url => fetchLinkPreview(url)))
+    .catch(error => console.error('Link preview resume error:', error));
+
+// Exports that were queued or building when the server last stopped
+db.getUnfinishedDataExports()
+    .then(unfinished => unfinished.forEach(dataExport => queueDataExport(dataExport.id, dataExport.userId)))
+    .catch(error => console.error('Data export resume error:', error));
+
 // Start server
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,47 @@
+// Threaded comments: reply counts
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+test('replyCount leaves out hidden replies and counts tombstones only as placeholders', async () => {
+    const author = await createUser('threadstarter');
+    const replier = await createUser('replier');
+
+    const post = await request('POST', '/api/posts', { token: author.token, body: { content: 'Discuss' } });
+    const postId = post.body.id;
+    const comment = (user, content, parentId) => request('POST', `/api/posts/${postId}/comment`, {
+        token: user.token,
+        body: { content, parentId },
+    }).then(res => {
+        assert.strictEqual(res.status, 201);
+        return res.body.id;
+    });
+
+    const parent = await comment(author, 'Top-level');
+    await comment(replier, 'Live reply', parent);
+    const hidden = await comment(replier, 'Hidden reply', parent);
+    const tombstone = await comment(replier, 'Deleted reply with a reply', parent);
+    await comment(author, 'Reply to the deleted one', tombstone);
+    const deleted = await comment(replier, 'Deleted reply', parent);
+
+    assert.strictEqual((await request('POST', `/api/posts/${postId}/comments/${hidden}/hide`, { token: author.token })).status, 200);
+    assert.strictEqual((await request('DELETE', `/api/posts/${postId}/comments/${tombstone}`, { token: replier.token })).status, 200);
+    assert.strictEqual((await request('DELETE', `/api/posts/${postId}/comments/${deleted}`, { token: replier.token })).status, 200);
+
+    const topLevel = await request('GET', `/api/posts/${postId}/comments`, { token: replier.token });
+    const [listed] = topLevel.body.comments;
+    assert.strictEqual(listed.id, parent);
+    // The live reply, plus the tombstone that still holds a reply
+    assert.strictEqual(listed.replyCount, 2);
+
+    const feed = await request('GET', `/api/users/${author.id}/posts`, { token: replier.token });
+    const [preview] = feed.body.find(p => p.id === postId).comments;
+    assert.strictEqual(preview.replyCount, 2);
+});
@@ -0,0 +1,43 @@
+// Personal data export archives
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser, runSql, waitForExport, downloadExport } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+test('every message is exported, including runs that share a timestamp across pages', async () => {
+    const user = await createUser('chatty');
+    const friend = await createUser('friend');
+
+    const conversation = await request('POST', '/api/conversations', { token: user.token, body: { participantId: friend.id } });
+    assert.strictEqual(conversation.status, 201);
+
+    // More than one export page (500 messages), all sent in the same millisecond
+    const count = 600;
+    await runSql(
+        `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+         INSERT INTO messages (id, conversation_id, sender_id, content, created_at)
+         SELECT printf('msg-%04d', i), ?, ?, 'message ' || i, '2026-01-01T00:00:00.000Z' FROM n`,
+        [count, conversation.body.id, user.id]
+    );
+
+    const archive = await downloadExport(user);
+    const [exported] = JSON.parse(archive.get('data/conversations.json'));
+    const ids = exported.messages.map(message => message.id);
+    assert.strictEqual(ids.length, count);
+    assert.strictEqual(new Set(ids).size, count);
+});
+
+test('a download link is not accepted as an access token', async () => {
+    const user = await createUser('exporter');
+    const { downloadUrl } = await waitForExport(user);
+    const downloadToken = new URL(downloadUrl, server.baseUrl).searchParams.get('token');
+
+    assert.strictEqual((await request('GET', '/api/auth/sessions', { token: downloadToken })).status, 403);
+    assert.strictEqual((await request('GET', '/api/posts/feed', { token: downloadToken })).status, 403);
+});
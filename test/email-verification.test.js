@@ -0,0 +1,47 @@
+// Verification links confirm the address they were sent to, once, while it's still the account's
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer, tokenFromEmail, PASSWORD } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser, waitForEmail } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+const verify = (token) => request('POST', '/api/auth/verify-email', { body: { token } });
+const emailOf = async (user) => (await server.querySql('SELECT email FROM users WHERE id = ?', [user.id]))[0].email;
+
+test('a verification link works only once', async () => {
+    const user = await createUser('verifier', { email_verified: 0 });
+    const token = tokenFromEmail(await waitForEmail(user.email, 'Verify your email address'));
+
+    assert.strictEqual((await verify(token)).status, 200);
+    assert.strictEqual((await verify(token)).status, 400);
+});
+
+test('an expired verification link is refused', async () => {
+    const user = await createUser('latecomer', { email_verified: 0 });
+    const token = tokenFromEmail(await waitForEmail(user.email, 'Verify your email address'));
+    await server.runSql('UPDATE email_verification_tokens SET expires_at = ? WHERE user_id = ?', [new Date(0).toISOString(), user.id]);
+
+    assert.strictEqual((await verify(token)).status, 400);
+});
+
+test('a signup link for an address the user moved off cannot switch the account back', async () => {
+    const user = await createUser('mover');
+    const oldLink = tokenFromEmail(await waitForEmail(user.email, 'Verify your email address'));
+
+    const change = await request('PUT', '/api/users/email', {
+        token: user.token,
+        body: { currentPassword: PASSWORD, newEmail: 'moved@example.com' },
+    });
+    assert.strictEqual(change.status, 202);
+    const changeLink = tokenFromEmail(await waitForEmail('moved@example.com', 'Confirm your new email address'));
+    assert.strictEqual((await verify(changeLink)).status, 200);
+    assert.strictEqual(await emailOf(user), 'moved@example.com');
+
+    assert.strictEqual((await verify(oldLink)).status, 400);
+    assert.strictEqual(await emailOf(user), 'moved@example.com');
+});
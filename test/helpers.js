@@ -0,0 +1,189 @@
+// Runs the real server against a throwaway database and mail outbox
+
+const assert = require('node:assert');
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const sqlite3 = require('sqlite3');
+
+const ROOT = path.join(__dirname, '..');
+const PASSWORD = 'correct horse battery staple';
+
+// Each test file runs in its own process; give every server in it its own port
+let nextPort = 40000 + (process.pid % 1000) * 10;
+
+/**
+ * Creates a migrated temp database and returns helpers for a server running on it
+ * Call start() before the tests and stop() after; start() again simulates a restart
+ */
+const createTestServer = (extraEnv = {}) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'social-test-'));
+    const env = {
+        ...process.env,
+        DATABASE_PATH: path.join(tmpDir, 'test.db'),
+        MAIL_TRANSPORT: 'outbox',
+        MAIL_OUTBOX_DIR: path.join(tmpDir, 'outbox'),
+        PORT: String(nextPort++),
+        ...extraEnv,
+    };
+    const baseUrl = `http://127.0.0.1:${env.PORT}`;
+    let child = null;
+
+    execFileSync(process.execPath, ['migrate.js', 'migrate'], { cwd: ROOT, env, stdio: 'ignore' });
+
+    const start = () => new Promise((resolve, reject) => {
+        child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'inherit'] });
+        child.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('Server running')) resolve();
+        });
+        child.on('exit', (code) => reject(new Error(`Server exited with code ${code}`)));
+    });
+
+    const stop = () => new Promise((resolve) => {
+        if (!child || child.exitCode !== null) return resolve();
+        child.removeAllListeners('exit');
+        child.on('exit', () => resolve());
+        child.kill();
+    });
+
+    const cleanup = async () => {
+        await stop();
+        // Export archives are written next to the server rather than in the temp dir
+        const exports = await querySql('SELECT file_path FROM data_exports WHERE file_path IS NOT NULL');
+        exports.forEach(({ file_path: filePath }) => fs.rmSync(filePath, { force: true }));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    };
+
+    const withDb = (method, sql, params) => new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(env.DATABASE_PATH);
+        db[method](sql, params, (err, result) => {
+            db.close();
+            if (err) reject(err);
+            else resolve(result);
+        });
+    });
+    const runSql = (sql, params = []) => withDb('run', sql, params);
+    const querySql = (sql, params = []) => withDb('all', sql, params);
+
+    /**
+     * Calls the API; `url` is relative to the server root (e.g. '/api/posts')
+     * Resolves with { status, headers, body } (body is parsed JSON when the response is JSON)
+     */
+    const request = async (method, url, { token, body, headers = {} } = {}) => {
+        const res = await fetch(`${baseUrl}${url}`, {
+            method,
+            redirect: 'manual',
+            headers: {
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers,
+            },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const text = await res.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            // Not JSON; keep the text
+        }
+        return { status: res.status, headers: res.headers, body: parsed };
+    };
+
+    // Emails sent to `to` (with `subject`, if given), oldest first
+    const readOutbox = (to, subject = null) => {
+        const dir = env.MAIL_OUTBOX_DIR;
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+            .filter(message => message.to === to && (!subject || message.subject === subject))
+            .sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+    };
+
+    // Waits for the `count`th matching email (mail can go out after the response) and returns it
+    const waitForEmail = async (to, subject, count = 1) => {
+        for (let waited = 0; waited < 2000; waited += 25) {
+            const messages = readOutbox(to, subject);
+            if (messages.length >= count) return messages[count - 1];
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+        throw new Error(`No email #${count} to ${to} with subject ${subject}`);
+    };
+
+    // Requests a data export for `user` and resolves with its status once it's ready
+    const waitForExport = async (user) => {
+        const created = await request('POST', '/api/users/me/exports', { token: user.token });
+        assert.strictEqual(created.status, 202);
+
+        let status = created.body;
+        for (let waited = 0; status.status !== 'ready'; waited += 50) {
+            assert.ok(waited < 5000 && status.status !== 'failed', `Export ended up ${status.status}`);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            status = (await request('GET', `/api/users/me/exports/${created.body.id}`, { token: user.token })).body;
+        }
+        return status;
+    };
+
+    // Exports `user`'s data and resolves with the archive's files (see readZip)
+    const downloadExport = async (user) => {
+        const { downloadUrl } = await waitForExport(user);
+        const res = await fetch(`${baseUrl}${downloadUrl}`);
+        assert.strictEqual(res.status, 200);
+        return readZip(Buffer.from(await res.arrayBuffer()));
+    };
+
+    /**
+     * Signs up a user, applies `changes` to their row (email is verified unless overridden),
+     * then logs in so the token carries them. Resolves with { id, email, token, refreshToken }
+     */
+    const createUser = async (username, changes = {}) => {
+        const email = `${username}@example.com`;
+        const signup = await request('POST', '/api/auth/signup', { body: { email, username, password: PASSWORD } });
+        assert.strictEqual(signup.status, 201);
+
+        for (const [column, value] of Object.entries({ email_verified: 1, ...changes })) {
+            await runSql(`UPDATE users SET ${column} = ? WHERE id = ?`, [value, signup.body.user.id]);
+        }
+
+        const login = await request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+        assert.strictEqual(login.status, 200);
+        return { id: signup.body.user.id, email, token: login.body.token, refreshToken: login.body.refreshToken };
+    };
+
+    return { env, baseUrl, start, stop, cleanup, runSql, querySql, request, readOutbox, waitForEmail, waitForExport, downloadExport, createUser };
+};
+
+/**
+ * Reads a ZIP archive into a Map of file name -> contents
+ * Only what archiver writes is supported: stored or deflated entries, no ZIP64
+ */
+const readZip = (buffer) => {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    const files = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        files.set(name, method === 8 ? zlib.inflateRawSync(data) : data);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+};
+
+// The single-use token from a verification or reset email ("Or paste this code into the app: ...")
+const tokenFromEmail = (message) => message.text.match(/paste this code into the app: (\S+)/)[1];
+
+module.exports = { ROOT, PASSWORD, createTestServer, tokenFromEmail, readZip };
@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { isPublicAddress, createHttpClient, LinkPreviewFetcher } = require('../link-preview');
+
+// ==================== ADDRESS CHECKS ====================
+
+test('public IPv4 and IPv6 addresses are allowed', () => {
+    assert.strictEqual(isPublicAddress('93.184.216.34'), true);
+    assert.strictEqual(isPublicAddress('2606:2800:220:1:248:1893:25c8:1946'), true);
+});
+
+test('loopback, private and link-local addresses are blocked', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '192.168.0.1', '169.254.169.254', '::', '::1', 'fd00::1', 'fe80::1']) {
+        assert.strictEqual(isPublicAddress(address), false, address);
+    }
+});
+
+test('IPv4-mapped IPv6 addresses are checked against the IPv4 rules', () => {
+    assert.strictEqual(isPublicAddress('::ffff:127.0.0.1'), false);
+    assert.strictEqual(isPublicAddress('::ffff:10.0.0.1'), false);
+    assert.strictEqual(isPublicAddress('::ffff:93.184.216.34'), true);
+});
+
+test('IPv4-compatible and 6to4 addresses are blocked', () => {
+    for (const address of ['::127.0.0.1', '::10.0.0.1', '::93.184.216.34', '2002:7f00:1::', '2002:c0a8:101::1', '2002:5db8:d822::1']) {
+        assert.strictEqual(isPublicAddress(address), false, address);
+    }
+});
+
+test('non-IP strings are not public addresses', () => {
+    assert.strictEqual(isPublicAddress('localhost'), false);
+});
+
+// ==================== FETCHER ====================
+
+const pages = {
+    '/og': {
+        body: `<html><head>
+            <title>Fallback title</title>
+            <meta property="og:title" content="OpenGraph &amp; friends">
+            <meta property="og:description" content="From the og tags">
+            <meta property="og:image" content="/images/cover.png">
+            <meta property="og:site_name" content="Fixture">
+            <meta name="twitter:title" content="Not this one">
+        </head><body></body></html>`,
+    },
+    '/twitter': {
+        body: `<html><head>
+            <meta name="twitter:title" content="Card title">
+            <meta name="twitter:description" content="From the card">
+            <meta name="twitter:image" content="https://cdn.example.com/card.jpg">
+        </head></html>`,
+    },
+    '/not-html': { type: 'application/json', body: '{"title":"nope"}' },
+};
+
+let fixture;
+let fixtureOrigin;
+
+before(async () => {
+    fixture = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://fixture.test');
+        if (pathname === '/redirect') {
+            res.writeHead(302, { Location: '/og' }).end();
+        } else if (pathname === '/redirect-private') {
+            res.writeHead(302, { Location: `http://127.0.0.1:${fixture.address().port}/og` }).end();
+        } else if (pathname === '/redirect-localhost') {
+            res.writeHead(301, { Location: `http://localhost:${fixture.address().port}/og` }).end();
+        } else if (pathname === '/redirect-loop') {
+            res.writeHead(302, { Location: '/redirect-loop' }).end();
+        } else if (pathname === '/large') {
+            // The title is up front; the padding after it is far bigger than the fetcher reads
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><head><title>Big page</title></head><body>${'x'.repeat(4 * 1024 * 1024)}</body></html>`);
+        } else if (pathname === '/late-head') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><head><!-- ${'x'.repeat(4096)} --><title>Too late</title></head></html>`);
+        } else if (pathname === '/slow') {
+            // Never answers; the fetcher has to give up on its own
+        } else if (pages[pathname]) {
+            res.writeHead(200, { 'Content-Type': `${pages[pathname].type || 'text/html'}; charset=utf-8` });
+            res.end(pages[pathname].body);
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => fixture.listen(0, '127.0.0.1', resolve));
+    fixtureOrigin = `http://127.0.0.1:${fixture.address().port}`;
+});
+
+after(() => {
+    fixture.closeAllConnections();
+    return new Promise(resolve => fixture.close(resolve));
+});
+
+// Serves http://fixture.test/... from the local fixture server, and sends every other URL
+// through the real client with its public-address checks switched on
+const fixtureClient = () => {
+    const local = createHttpClient({ allowPrivateAddresses: true });
+    const strict = createHttpClient();
+    return {
+        get(url, options) {
+            const target = new URL(url);
+            if (target.hostname !== 'fixture.test') return strict.get(url, options);
+            return local.get(`${fixtureOrigin}${target.pathname}${target.search}`, options);
+        },
+    };
+};
+
+const fetcher = (options = {}) => new LinkPreviewFetcher({ httpClient: fixtureClient(), ...options });
+
+test('OpenGraph tags win over Twitter card tags and <title>', async () => {
+    const preview = await fetcher().fetch('http://fixture.test/og');
+    assert.deepStrictEqual(preview, {
+        title: 'OpenGraph & friends',
+        description: 'From the og tags',
+        imageUrl: 'http://fixture.test/images/cover.png',
+        siteName: 'Fixture',
+    });
+});
+
+test('Twitter card tags are used when there are no OpenGraph tags', async () => {
+    const preview = await fetcher().fetch('http://fixture.test/twitter');
+    assert.strictEqual(preview.title, 'Card title');
+    assert.strictEqual(preview.description, 'From the card');
+    assert.strictEqual(preview.imageUrl, 'https://cdn.example.com/card.jpg');
+});
+
+test('redirects are followed and relative images resolve against the final page', async () => {
+    const preview = await fetcher().fetch('http://fixture.test/redirect');
+    assert.strictEqual(preview.title, 'OpenGraph & friends');
+    assert.strictEqual(preview.imageUrl, 'http://fixture.test/images/cover.png');
+});
+
+test('redirects to private addresses are refused', async () => {
+    await assert.rejects(fetcher().fetch('http://fixture.test/redirect-private'), /not a public address/);
+    await assert.rejects(fetcher().fetch('http://fixture.test/redirect-localhost'), /does not resolve to a public address/);
+});
+
+test('redirect chains longer than maxRedirects are refused', async () => {
+    await assert.rejects(fetcher({ maxRedirects: 2 }).fetch('http://fixture.test/redirect-loop'), /Too many redirects/);
+});
+
+test('pages that are not HTML are refused', async () => {
+    await assert.rejects(fetcher().fetch('http://fixture.test/not-html'), /not an HTML page/);
+});
+
+test('only the first maxBytes of a page are read', async () => {
+    const preview = await fetcher({ maxBytes: 1024 }).fetch('http://fixture.test/large');
+    assert.strictEqual(preview.title, 'Big page');
+
+    await assert.rejects(fetcher({ maxBytes: 1024 }).fetch('http://fixture.test/late-head'), /no title or description/);
+});
+
+test('fetches that take longer than timeoutMs are abandoned', async () => {
+    await assert.rejects(fetcher({ timeoutMs: 200 }).fetch('http://fixture.test/slow'), /Timed out/);
+});
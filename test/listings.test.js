@@ -0,0 +1,90 @@
+// Posts that aren't live, or aren't meant for the viewer, stay out of every listing
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser, runSql, downloadExport } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+// What each listing shows `viewer`, as post IDs (trending as tags)
+const listings = async (viewer, tag) => {
+    const hashtagPage = await request('GET', `/api/hashtags/${tag}/posts`, { token: viewer.token });
+    const trending = await request('GET', '/api/hashtags/trending', { token: viewer.token });
+    const bookmarks = await request('GET', `/api/users/${viewer.id}/bookmarks`, { token: viewer.token });
+    const archive = await downloadExport(viewer);
+
+    return {
+        hashtagPage: hashtagPage.body.posts.map(post => post.id),
+        trending: trending.body.map(entry => entry.tag),
+        bookmarks: bookmarks.body.map(post => post.id),
+        exportedBookmarks: JSON.parse(archive.get('data/bookmarks.json')).map(bookmark => bookmark.postId),
+    };
+};
+
+const createPost = async (user, body) => {
+    const res = await request('POST', '/api/posts', { token: user.token, body });
+    assert.strictEqual(res.status, 201);
+    return res.body.id;
+};
+
+const bookmark = async (user, postId) => {
+    assert.deepStrictEqual((await request('POST', `/api/posts/${postId}/bookmark`, { token: user.token })).body, { bookmarked: true });
+};
+
+test('a post moved back to drafts or scheduling leaves hashtag pages, trending, bookmarks and exports', async () => {
+    const author = await createUser('drafter');
+    const reader = await createUser('draftreader');
+
+    const draftedId = await createPost(author, { content: 'Big news #relaunch' });
+    const scheduledId = await createPost(author, { content: 'More news #relaunch' });
+    await bookmark(reader, draftedId);
+    await bookmark(reader, scheduledId);
+
+    const before = await listings(reader, 'relaunch');
+    assert.deepStrictEqual(before.hashtagPage.sort(), [draftedId, scheduledId].sort());
+    assert.ok(before.trending.includes('relaunch'));
+    assert.deepStrictEqual(before.exportedBookmarks.sort(), [draftedId, scheduledId].sort());
+
+    // Hashtags and bookmarks are left in place, as they would be if the post were taken back
+    const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    await runSql("UPDATE posts SET status = 'draft' WHERE id = ?", [draftedId]);
+    await runSql("UPDATE posts SET status = 'scheduled', publish_at = ? WHERE id = ?", [publishAt, scheduledId]);
+
+    for (const viewer of [reader, author]) {
+        const after = await listings(viewer, 'relaunch');
+        assert.deepStrictEqual(after.hashtagPage, []);
+        assert.ok(!after.trending.includes('relaunch'));
+        assert.deepStrictEqual(after.bookmarks, []);
+        assert.deepStrictEqual(after.exportedBookmarks, []);
+    }
+});
+
+test('a followers-only post stays out of a non-follower\'s listings and out of trending', async () => {
+    const author = await createUser('gatekeeper');
+    const follower = await createUser('follower');
+
+    const follow = () => request('POST', `/api/users/${author.id}/follow`, { token: follower.token });
+    assert.strictEqual((await follow()).status, 200);
+
+    const postId = await createPost(author, { content: 'Members only #backstage', visibility: 'followers' });
+    await bookmark(follower, postId);
+
+    const following = await listings(follower, 'backstage');
+    assert.deepStrictEqual(following.hashtagPage, [postId]);
+    assert.deepStrictEqual(following.bookmarks, [postId]);
+    assert.deepStrictEqual(following.exportedBookmarks, [postId]);
+    // Trending is for everyone, so only public posts count
+    assert.ok(!following.trending.includes('backstage'));
+
+    assert.strictEqual((await follow()).status, 200);  // Unfollow
+
+    const unfollowed = await listings(follower, 'backstage');
+    assert.deepStrictEqual(unfollowed.hashtagPage, []);
+    assert.deepStrictEqual(unfollowed.bookmarks, []);
+    assert.deepStrictEqual(unfollowed.exportedBookmarks, []);
+    assert.ok(!unfollowed.trending.includes('backstage'));
+});
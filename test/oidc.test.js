@@ -0,0 +1,123 @@
+// Sign-in through the bundled mock OpenID Connect provider, start to callback
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createMockIdp } = require('../mock-oidc');
+const { createTestServer } = require('./helpers');
+
+const REDIRECT_URI = 'http://localhost/oidc-callback';
+
+let idp;
+let server;
+
+before(async () => {
+    // The mock IdP runs in this process; its issuer URL needs the port, so bind first
+    let idpApp;
+    idp = http.createServer((req, res) => idpApp(req, res));
+    await new Promise(resolve => idp.listen(0, '127.0.0.1', resolve));
+    const issuer = `http://127.0.0.1:${idp.address().port}`;
+    idpApp = createMockIdp({ issuer, clientId: 'test-client' });
+
+    server = createTestServer({
+        OIDC_PROVIDERS: 'mock',
+        OIDC_MOCK_ISSUER: issuer,
+        OIDC_MOCK_CLIENT_ID: 'test-client',
+        OIDC_MOCK_REDIRECT_URI: REDIRECT_URI,
+    });
+    await server.start();
+});
+
+after(async () => {
+    await server?.cleanup();
+    await new Promise(resolve => idp.close(resolve));
+});
+
+const start = async () => {
+    const res = await server.request('GET', '/api/auth/oidc/mock/start');
+    assert.strictEqual(res.status, 200);
+    return res.body;
+};
+
+// Opens the authorization URL as `identity` and returns the code and state from the redirect
+const authorize = async (authorizationUrl, identity = {}) => {
+    const url = new URL(authorizationUrl);
+    for (const [name, value] of Object.entries(identity)) url.searchParams.set(name, value);
+
+    const res = await fetch(url, { redirect: 'manual' });
+    assert.strictEqual(res.status, 302);
+    const location = new URL(res.headers.get('location'));
+    assert.strictEqual(`${location.origin}${location.pathname}`, REDIRECT_URI);
+    return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+};
+
+const callback = (body) => server.request('POST', '/api/auth/oidc/mock/callback', { body });
+
+test('signing in creates an account and logs it in', async () => {
+    const { authorizationUrl, state } = await start();
+    const redirect = await authorize(authorizationUrl, { login_hint: 'newcomer@example.com' });
+    assert.strictEqual(redirect.state, state);
+
+    const login = await callback(redirect);
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.user.email, 'newcomer@example.com');
+    assert.strictEqual(login.body.user.emailVerified, true);
+
+    // The same identity signs back in to the same account
+    const again = await start();
+    const secondLogin = await callback(await authorize(again.authorizationUrl, { login_hint: 'newcomer@example.com' }));
+    assert.strictEqual(secondLogin.status, 200);
+    assert.strictEqual(secondLogin.body.user.id, login.body.user.id);
+});
+
+test('a login state can only be used once', async () => {
+    const { authorizationUrl } = await start();
+    const redirect = await authorize(authorizationUrl, { login_hint: 'once@example.com' });
+
+    assert.strictEqual((await callback(redirect)).status, 200);
+    assert.strictEqual((await callback(redirect)).status, 400);
+});
+
+test('a code issued for another sign-in attempt fails PKCE verification', async () => {
+    const first = await start();
+    const second = await start();
+    const { code } = await authorize(first.authorizationUrl, { login_hint: 'swapped@example.com' });
+
+    // The server sends the second attempt's code verifier, which doesn't match the code's challenge
+    const res = await callback({ code, state: second.state });
+    assert.strictEqual(res.status, 401);
+});
+
+test('an unknown state is refused', async () => {
+    const { authorizationUrl } = await start();
+    const { code } = await authorize(authorizationUrl);
+    assert.strictEqual((await callback({ code, state: 'not-a-real-state' })).status, 400);
+});
+
+test('an identity is not linked to a local account whose email is unverified', async () => {
+    const squatter = await server.createUser('squatter', { email_verified: 0 });
+
+    const { authorizationUrl } = await start();
+    const res = await callback(await authorize(authorizationUrl, { login_hint: squatter.email }));
+    assert.strictEqual(res.status, 409);
+
+    const links = await server.querySql('SELECT * FROM user_identities WHERE user_id = ?', [squatter.id]);
+    assert.deepStrictEqual(links, []);
+});
+
+test('an unverified email at the provider is not linked to an existing account', async () => {
+    const owner = await server.createUser('owner');
+
+    const { authorizationUrl } = await start();
+    const res = await callback(await authorize(authorizationUrl, { login_hint: owner.email, email_verified: 'false' }));
+    assert.strictEqual(res.status, 409);
+});
+
+test('a verified email at the provider is linked to the matching verified account', async () => {
+    const owner = await server.createUser('linker');
+
+    const { authorizationUrl } = await start();
+    const res = await callback(await authorize(authorizationUrl, { login_hint: owner.email }));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.user.id, owner.id);
+});
@@ -0,0 +1,62 @@
+// Changing the password signs out everything except the session that changed it
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer, PASSWORD } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+const feed = (token) => request('GET', '/api/posts/feed', { token });
+
+test('changing the password revokes API tokens and other sessions', async () => {
+    const user = await createUser('changer');
+
+    const otherLogin = await request('POST', '/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+    assert.strictEqual(otherLogin.status, 200);
+
+    const apiToken = await request('POST', '/api/auth/tokens', {
+        token: user.token,
+        body: { name: 'Script', scopes: ['posts:read'] },
+    });
+    assert.strictEqual(apiToken.status, 201);
+    assert.ok(apiToken.body.token.startsWith('pat_'));
+    assert.strictEqual((await feed(apiToken.body.token)).status, 200);
+
+    const change = await request('PUT', '/api/users/password', {
+        token: user.token,
+        body: { currentPassword: PASSWORD, newPassword: 'a brand new password' },
+    });
+    assert.strictEqual(change.status, 200);
+
+    assert.strictEqual((await feed(apiToken.body.token)).status, 403);
+    assert.strictEqual((await feed(otherLogin.body.token)).status, 401);
+    const otherRefresh = await request('POST', '/api/auth/refresh', { body: { refreshToken: otherLogin.body.refreshToken } });
+    assert.strictEqual(otherRefresh.status, 401);
+
+    // The session that made the change stays signed in
+    assert.strictEqual((await feed(user.token)).status, 200);
+});
+
+test('a wrong current password changes nothing', async () => {
+    const user = await createUser('guesser');
+
+    const apiToken = await request('POST', '/api/auth/tokens', {
+        token: user.token,
+        body: { name: 'Script', scopes: ['posts:read'] },
+    });
+    assert.strictEqual(apiToken.status, 201);
+
+    const change = await request('PUT', '/api/users/password', {
+        token: user.token,
+        body: { currentPassword: 'not my password', newPassword: 'a brand new password' },
+    });
+    assert.strictEqual(change.status, 401);
+
+    assert.strictEqual((await feed(apiToken.body.token)).status, 200);
+    const login = await request('POST', '/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+    assert.strictEqual(login.status, 200);
+});
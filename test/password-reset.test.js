@@ -0,0 +1,59 @@
+// Password reset requests: no account enumeration, no inbox flooding
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer, tokenFromEmail, PASSWORD } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser, readOutbox, waitForEmail } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+const RESET_SUBJECT = 'Reset your password';
+
+const forgotPassword = (email) => request('POST', '/api/auth/forgot-password', { body: { email } });
+
+test('known and unknown emails get the same response', async () => {
+    const user = await createUser('forgetful');
+
+    const known = await forgotPassword(user.email);
+    const unknown = await forgotPassword('stranger@example.com');
+    assert.strictEqual(known.status, 200);
+    assert.deepStrictEqual(unknown, { ...known, headers: unknown.headers });
+
+    await waitForEmail(user.email, RESET_SUBJECT);
+    assert.deepStrictEqual(readOutbox('stranger@example.com'), []);
+});
+
+test('a reset link sets the password once', async () => {
+    const user = await createUser('resetter');
+    await forgotPassword(user.email);
+    const token = tokenFromEmail(await waitForEmail(user.email, RESET_SUBJECT));
+
+    const reset = await request('POST', '/api/auth/reset-password', { body: { token, password: 'a brand new password' } });
+    assert.strictEqual(reset.status, 200);
+    const replay = await request('POST', '/api/auth/reset-password', { body: { token, password: 'another password' } });
+    assert.strictEqual(replay.status, 400);
+
+    const login = await request('POST', '/api/auth/login', { body: { email: user.email, password: 'a brand new password' } });
+    assert.strictEqual(login.status, 200);
+});
+
+test('reset requests for one email are throttled without locking its login', async () => {
+    const user = await createUser('flooded');
+
+    // Five free requests plus the one that locks the key
+    for (let attempt = 0; attempt < 6; attempt++) {
+        assert.strictEqual((await forgotPassword(user.email)).status, 200);
+    }
+    const throttled = await forgotPassword(user.email);
+    assert.strictEqual(throttled.status, 429);
+    assert.ok(Number(throttled.headers.get('retry-after')) > 0);
+
+    await waitForEmail(user.email, RESET_SUBJECT, 6);
+    assert.strictEqual(readOutbox(user.email, RESET_SUBJECT).length, 6);
+
+    const login = await request('POST', '/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+    assert.strictEqual(login.status, 200);
+});
@@ -0,0 +1,57 @@
+// Pinning posts to a profile
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser, querySql } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+const createPost = async (user, content) => {
+    const res = await request('POST', '/api/posts', { token: user.token, body: { content } });
+    assert.strictEqual(res.status, 201);
+    return res.body.id;
+};
+
+const pin = (user, postId, body) => request('POST', `/api/posts/${postId}/pin`, { token: user.token, body });
+
+const storedPins = (userId) => querySql('SELECT post_id FROM pinned_posts WHERE user_id = ? ORDER BY position', [userId])
+    .then(rows => rows.map(row => row.post_id));
+
+test('pins keep their order, move on request and cap at three', async () => {
+    const user = await createUser('pinner');
+    const [a, b, c, d] = [
+        await createPost(user, 'a'), await createPost(user, 'b'), await createPost(user, 'c'), await createPost(user, 'd'),
+    ];
+
+    await pin(user, a);
+    await pin(user, b);
+    assert.deepStrictEqual((await pin(user, c, { position: 0 })).body.pinnedPostIds, [c, a, b]);
+    assert.strictEqual((await pin(user, d)).status, 400);
+
+    assert.deepStrictEqual((await pin(user, a)).body, { pinned: false, pinnedPostIds: [c, b] });
+    assert.deepStrictEqual(await storedPins(user.id), [c, b]);
+});
+
+test('concurrent pins leave a consistent set and don\'t swallow other writes', async () => {
+    const user = await createUser('racer');
+    const fan = await createUser('fan');
+    const postIds = [];
+    for (let i = 0; i < 4; i++) postIds.push(await createPost(user, `post ${i}`));
+
+    // Likes from another user land while the pin transactions are open
+    await Promise.all([
+        ...postIds.map(postId => pin(user, postId)),
+        ...postIds.map(postId => request('POST', `/api/posts/${postId}/like`, { token: fan.token })),
+    ]);
+
+    const pins = await storedPins(user.id);
+    assert.ok(pins.length >= 1 && pins.length <= 3);
+    assert.strictEqual(new Set(pins).size, pins.length);
+
+    const likes = await querySql('SELECT post_id FROM likes WHERE user_id = ?', [fan.id]);
+    assert.strictEqual(likes.length, postIds.length);
+});
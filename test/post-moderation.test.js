@@ -0,0 +1,43 @@
+// Moderators can delete posts and comments they aren't in the audience for
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+test('a moderator can delete a followers-only post and its comments', async () => {
+    const author = await createUser('author');
+    const moderator = await createUser('moderator', { role: 'moderator' });
+    const stranger = await createUser('stranger');
+
+    const post = await request('POST', '/api/posts', {
+        token: author.token,
+        body: { content: 'Just for my followers', visibility: 'followers' },
+    });
+    assert.strictEqual(post.status, 201);
+    const postId = post.body.id;
+
+    const comment = await request('POST', `/api/posts/${postId}/comment`, {
+        token: author.token,
+        body: { content: 'A comment' },
+    });
+    assert.strictEqual(comment.status, 201);
+    const commentId = comment.body.id;
+
+    // Users outside the audience still can't tell the post exists
+    const strangerDelete = await request('DELETE', `/api/posts/${postId}/comments/${commentId}`, { token: stranger.token });
+    assert.strictEqual(strangerDelete.status, 404);
+    assert.strictEqual((await request('DELETE', `/api/posts/${postId}`, { token: stranger.token })).status, 404);
+
+    const commentDelete = await request('DELETE', `/api/posts/${postId}/comments/${commentId}`, { token: moderator.token });
+    assert.strictEqual(commentDelete.status, 200);
+
+    const postDelete = await request('DELETE', `/api/posts/${postId}`, { token: moderator.token });
+    assert.strictEqual(postDelete.status, 200);
+    assert.strictEqual((await request('DELETE', `/api/posts/${postId}`, { token: author.token })).status, 404);
+});
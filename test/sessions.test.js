@@ -0,0 +1,87 @@
+// Refresh-token rotation, reuse detection and logout
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer, PASSWORD } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+const listSessions = (token) => request('GET', '/api/auth/sessions', { token });
+
+// Connects to Socket.IO over plain HTTP long-polling (Engine.IO v4) and returns the server's
+// reply to the namespace connect packet: '0' (connected) or '4' (refused)
+const socketConnect = async (token) => {
+    const open = await request('GET', '/socket.io/?EIO=4&transport=polling');
+    const { sid } = JSON.parse(open.body.slice(1));
+    const url = `/socket.io/?EIO=4&transport=polling&sid=${sid}`;
+
+    await fetch(`${server.baseUrl}${url}`, { method: 'POST', body: `40${JSON.stringify({ token })}` });
+    const reply = await request('GET', url);
+    return String(reply.body).charAt(1);
+};
+
+test('refreshing rotates the refresh token', async () => {
+    const user = await createUser('rotator');
+
+    const first = await refresh(user.refreshToken);
+    assert.strictEqual(first.status, 200);
+    assert.ok(first.body.token);
+    assert.notStrictEqual(first.body.refreshToken, user.refreshToken);
+
+    assert.strictEqual((await listSessions(first.body.token)).status, 200);
+    assert.strictEqual(await socketConnect(first.body.token), '0');
+
+    const second = await refresh(first.body.refreshToken);
+    assert.strictEqual(second.status, 200);
+});
+
+test('replaying a rotated refresh token revokes the whole session', async () => {
+    const user = await createUser('replayer');
+
+    const rotated = await refresh(user.refreshToken);
+    assert.strictEqual(rotated.status, 200);
+
+    assert.strictEqual((await refresh(user.refreshToken)).status, 401);
+
+    // Both the current refresh token and access tokens from the session are dead now
+    assert.strictEqual((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.strictEqual((await listSessions(rotated.body.token)).status, 401);
+});
+
+test('concurrent refreshes with the same token leave at most one winner', async () => {
+    const user = await createUser('racer');
+
+    const results = await Promise.all([refresh(user.refreshToken), refresh(user.refreshToken)]);
+    const winners = results.filter(result => result.status === 200);
+    assert.ok(winners.length <= 1);
+    for (const winner of winners) {
+        assert.strictEqual((await refresh(winner.body.refreshToken)).status, 401);
+    }
+});
+
+test('logging out revokes the session and its access token', async () => {
+    const user = await createUser('leaver');
+
+    assert.strictEqual((await request('POST', '/api/auth/logout', { token: user.token })).status, 200);
+
+    assert.strictEqual((await listSessions(user.token)).status, 401);
+    assert.strictEqual(await socketConnect(user.token), '4');
+    assert.strictEqual((await refresh(user.refreshToken)).status, 401);
+});
+
+test('logging out everywhere revokes every session', async () => {
+    const user = await createUser('traveller');
+    const otherDevice = await request('POST', '/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+    assert.strictEqual(otherDevice.status, 200);
+
+    assert.strictEqual((await request('POST', '/api/auth/logout-all', { token: user.token })).status, 200);
+
+    assert.strictEqual((await listSessions(user.token)).status, 401);
+    assert.strictEqual((await listSessions(otherDevice.body.token)).status, 401);
+    assert.strictEqual((await refresh(otherDevice.body.refreshToken)).status, 401);
+});
@@ -0,0 +1,66 @@
+// Login and signup throttling, which lives in SQLite and so outlasts a restart
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestServer, PASSWORD } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+const login = (email, password) => request('POST', '/api/auth/login', { body: { email, password } });
+
+const assertThrottled = (res) => {
+    assert.strictEqual(res.status, 429);
+    const retryAfter = Number(res.headers.get('retry-after'));
+    assert.ok(retryAfter > 0, `Retry-After should be positive, got ${res.headers.get('retry-after')}`);
+    assert.strictEqual(res.body.retryAfter, retryAfter);
+};
+
+test('repeated bad logins lock the account out, even for the right password', async () => {
+    const user = await createUser('guessed');
+
+    // loginEmail allows five free attempts; the one after them locks the key
+    for (let attempt = 0; attempt < 6; attempt++) {
+        assert.strictEqual((await login(user.email, 'wrong password')).status, 401);
+    }
+    assertThrottled(await login(user.email, 'wrong password'));
+    assertThrottled(await login(user.email, PASSWORD));
+
+    // Unknown emails are throttled the same way, so lockouts don't reveal which accounts exist
+    for (let attempt = 0; attempt < 6; attempt++) {
+        assert.strictEqual((await login('nobody@example.com', 'wrong password')).status, 401);
+    }
+    assertThrottled(await login('nobody@example.com', 'wrong password'));
+});
+
+test('a lockout survives a server restart', async () => {
+    const user = await createUser('restarted');
+    for (let attempt = 0; attempt < 6; attempt++) {
+        await login(user.email, 'wrong password');
+    }
+    assertThrottled(await login(user.email, PASSWORD));
+
+    await server.stop();
+    await server.start();
+
+    assertThrottled(await login(user.email, PASSWORD));
+});
+
+test('signups from one address are throttled', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 15; attempt++) {
+        const res = await request('POST', '/api/auth/signup', {
+            body: { email: `signup${attempt}@example.com`, username: `signup${attempt}`, password: PASSWORD },
+        });
+        statuses.push(res.status);
+        if (res.status === 429) {
+            assertThrottled(res);
+            break;
+        }
+    }
+    // Ten free signups plus the one that locks; earlier tests used two of them
+    assert.deepStrictEqual(statuses, [...Array(9).fill(201), 429]);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../totp');
+
+// The ASCII secret from the RFC 4226 and RFC 6238 test vectors
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 matches the RFC 4648 test vectors (unpadded)', () => {
+    const vectors = { '': '', f: 'MY', fo: 'MZXQ', foo: 'MZXW6', foob: 'MZXW6YQ', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI' };
+    for (const [plain, encoded] of Object.entries(vectors)) {
+        assert.strictEqual(totp.base32Encode(Buffer.from(plain)), encoded);
+        assert.strictEqual(totp.base32Decode(encoded).toString(), plain);
+    }
+    assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+});
+
+test('HOTP codes match the RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => assert.strictEqual(totp.generateCode(RFC_SECRET, counter), code));
+});
+
+test('TOTP codes match the SHA-1 RFC 6238 test vectors (last six digits)', () => {
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130'],
+    ];
+    for (const [seconds, code] of vectors) {
+        const step = totp.timeStep(seconds * 1000);
+        assert.strictEqual(totp.generateCode(RFC_SECRET, step), code);
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, code, { now: seconds * 1000 }), step);
+    }
+});
+
+test('verifyCode accepts one step of drift either side and nothing further', () => {
+    const now = 1111111111 * 1000;
+    const step = totp.timeStep(now);
+    for (const offset of [-1, 0, 1]) {
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + offset), { now }), step + offset);
+    }
+    for (const offset of [-2, 2]) {
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + offset), { now }), null);
+    }
+});
+
+test('verifyCode rejects malformed codes', () => {
+    for (const code of ['', '12345', '1234567', 'abcdef', null, undefined]) {
+        assert.strictEqual(totp.verifyCode(RFC_SECRET, code), null);
+    }
+    const code = totp.generateCode(RFC_SECRET);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`), totp.timeStep());
+});
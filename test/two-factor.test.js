@@ -0,0 +1,80 @@
+// Second-factor login: each TOTP time step and each recovery code works once
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../totp');
+const { createTestServer, PASSWORD } = require('./helpers');
+
+const server = createTestServer();
+const { request, createUser } = server;
+
+before(() => server.start());
+after(() => server.cleanup());
+
+// Turns on 2FA for a new user; resolves with their secret, recovery codes and the enrolment step
+const createTwoFactorUser = async (username) => {
+    const user = await createUser(username);
+    const setup = await request('POST', '/api/auth/2fa/setup', { token: user.token });
+    assert.strictEqual(setup.status, 200);
+
+    const step = totp.timeStep();
+    const enable = await request('POST', '/api/auth/2fa/enable', {
+        token: user.token,
+        body: { code: totp.generateCode(setup.body.secret, step) },
+    });
+    assert.strictEqual(enable.status, 200);
+    return { ...user, secret: setup.body.secret, recoveryCodes: enable.body.recoveryCodes, step };
+};
+
+const challenge = async (user) => {
+    const login = await request('POST', '/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.twoFactorRequired, true);
+    return login.body.challengeToken;
+};
+
+const secondFactor = (challengeToken, body) => request('POST', '/api/auth/login/2fa', { body: { challengeToken, ...body } });
+
+test('a TOTP code is accepted only once', async () => {
+    const user = await createTwoFactorUser('totp-once');
+    const challengeToken = await challenge(user);
+
+    // The code used to enable 2FA is already spent
+    const enrolmentCode = totp.generateCode(user.secret, user.step);
+    assert.strictEqual((await secondFactor(challengeToken, { code: enrolmentCode })).status, 401);
+
+    const code = totp.generateCode(user.secret, user.step + 1);
+    const first = await secondFactor(challengeToken, { code });
+    assert.strictEqual(first.status, 200);
+    assert.ok(first.body.token);
+
+    assert.strictEqual((await secondFactor(await challenge(user), { code })).status, 401);
+});
+
+test('concurrent logins with the same TOTP code produce one session', async () => {
+    const user = await createTwoFactorUser('totp-race');
+    const [firstChallenge, secondChallenge] = [await challenge(user), await challenge(user)];
+    const code = totp.generateCode(user.secret, user.step + 1);
+
+    const results = await Promise.all([
+        secondFactor(firstChallenge, { code }),
+        secondFactor(secondChallenge, { code }),
+    ]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 401]);
+});
+
+test('a recovery code is accepted only once', async () => {
+    const user = await createTwoFactorUser('recovery-once');
+    const [recoveryCode, otherCode] = user.recoveryCodes;
+
+    assert.strictEqual((await secondFactor(await challenge(user), { recoveryCode })).status, 200);
+    assert.strictEqual((await secondFactor(await challenge(user), { recoveryCode })).status, 401);
+
+    // Concurrent attempts with one code can't both spend it
+    const [firstChallenge, secondChallenge] = [await challenge(user), await challenge(user)];
+    const results = await Promise.all([
+        secondFactor(firstChallenge, { recoveryCode: otherCode }),
+        secondFactor(secondChallenge, { recoveryCode: otherCode.toUpperCase() }),
+    ]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 401]);
+});
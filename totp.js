@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (the codes authenticator apps show)
+// Defaults match what Google Authenticator, 1Password, Authy etc. expect: SHA-1, 6 digits, 30s period
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Encodes bytes as unpadded base32 (RFC 4648), the format authenticator apps use for secrets
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// 160-bit secret, the size recommended by RFC 4226
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// Number of whole periods since the Unix epoch
+function timeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * HOTP (RFC 4226) for a given counter; TOTP is HOTP with the time step as the counter
+ */
+function generateCode(secret, step = timeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current step and `window` steps either side (clock drift)
+ * Returns the matching step so callers can reject replays, or null if nothing matched
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+    const current = timeStep(now);
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps scan from a QR code
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    timeStep,
+    buildOtpauthUri,
+};